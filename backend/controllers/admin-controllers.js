@@ -0,0 +1,320 @@
+import mongoose from "mongoose";
+import { User, USER_ROLES } from "../models/user-model.js";
+import { Message } from "../models/message-model.js";
+import { Conversation } from "../models/conversation-model.js";
+import { Session } from "../models/session-model.js";
+import { RefreshToken } from "../models/refresh-token-model.js";
+import { AuthToken } from "../models/auth-token-model.js";
+import { AiMemory } from "../models/ai-memory-model.js";
+import { AiUsage } from "../models/ai-usage-model.js";
+import { io, emitToUsers, userSocketMap } from "../server.js";
+import { revokeSessions } from "../lib/sessions.js";
+import { deleteFromCloudinary } from "../lib/cloudinary.js";
+import { escapeRegex } from "../lib/util.js";
+import { updateSettings, SETTINGS_FIELDS } from "../lib/settings.js";
+import { getAiProvider } from "../lib/ai-providers.js";
+
+const ADMIN_USER_FIELDS = "fullName email profilePic role status lastSeen emailVerified suspendedAt";
+const STATS_DAYS = 14;
+const AI_USAGE_DAYS = 30;
+const AI_USAGE_TOP_USERS = 10;
+
+//checks shared by suspend and delete, returns an error response or null
+const checkTargetUser = async (req, res, userId) => {
+    if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+    if (userId === req.user._id.toString()) {
+        return res.status(400).json({ success: false, message: "You cannot do this to your own account" });
+    }
+    const user = await User.findById(userId).select("role").lean();
+    if (!user) {
+        return res.status(404).json({ success: false, message: "User not found" });
+    }
+    if (user.role === "admin") {
+        return res.status(400).json({ success: false, message: "Demote the admin first" });
+    }
+    return null;
+}
+
+//list users for the dashboard, searched by name or email
+export const getUsers = async (req, res) => {
+    try {
+        const search = String(req.query.search || "").trim();
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const filter = { _id: { $ne: process.env.AI_ASSISTANT_ID } };
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), "i");
+            filter.$or = [{ fullName: pattern }, { email: pattern }];
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filter).select(ADMIN_USER_FIELDS).sort({ _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            User.countDocuments(filter),
+        ]);
+        res.status(200).json({ success: true, users, total, page, limit });
+    } catch (error) {
+        console.log("Admin get users error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//suspended users are logged out everywhere and refused until unsuspended
+export const suspendUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (await checkTargetUser(req, res, userId)) return;
+
+        const suspendedAt = new Date();
+        await User.updateOne({ _id: userId }, { $set: { suspendedAt } });
+        await revokeSessions(userId);
+        res.status(200).json({ success: true, message: "User suspended", suspendedAt });
+    } catch (error) {
+        console.log("Suspend user error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+export const unsuspendUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ success: false, message: "Invalid user id" });
+        }
+        const result = await User.updateOne({ _id: userId }, { $set: { suspendedAt: null } });
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+        res.status(200).json({ success: true, message: "User unsuspended" });
+    } catch (error) {
+        console.log("Unsuspend user error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//delete a user with their direct msgs, sessions and group memberships
+export const deleteUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (await checkTargetUser(req, res, userId)) return;
+
+        await revokeSessions(userId);
+
+        const directFilter = { $or: [{ senderId: userId }, { receiverId: userId }] };
+        const images = await Message.find({ ...directFilter, image: { $exists: true, $ne: null } }).select("image").lean();
+        await Promise.all(images.map(msg => deleteFromCloudinary(msg.image)));
+        await Message.deleteMany(directFilter);
+
+        // leave every group, groups left empty are removed and orphaned groups get a new admin
+        await Conversation.updateMany({ members: userId }, { $pull: { members: userId, admins: userId } });
+        const emptyGroups = await Conversation.find({ members: { $size: 0 } }).select("_id").lean();
+        if (emptyGroups.length > 0) {
+            const emptyIds = emptyGroups.map(group => group._id);
+            await Message.deleteMany({ conversationId: { $in: emptyIds } });
+            await Conversation.deleteMany({ _id: { $in: emptyIds } });
+        }
+        const orphanedGroups = await Conversation.find({ admins: { $size: 0 } }).select("members").lean();
+        await Promise.all(orphanedGroups.map(group =>
+            Conversation.updateOne({ _id: group._id }, { $set: { admins: [group.members[0]] } })
+        ));
+
+        await Promise.all([
+            User.updateMany({ $or: [{ contacts: userId }, { blockedUsers: userId }, { mutedUsers: userId }] }, { $pull: { contacts: userId, blockedUsers: userId, mutedUsers: userId } }),
+            Session.deleteMany({ userId }),
+            RefreshToken.deleteMany({ userId }),
+            AuthToken.deleteMany({ userId }),
+            AiMemory.deleteOne({ userId }),
+        ]);
+        await User.deleteOne({ _id: userId });
+
+        io.emit("userDeleted", { userId });
+        res.status(200).json({ success: true, message: "User deleted" });
+    } catch (error) {
+        console.log("Delete user error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+const SETTING_TYPES = {
+    aiEnabled: (value) => typeof value === "boolean",
+    uploadsEnabled: (value) => typeof value === "boolean",
+    maxUploadSize: (value) => Number.isInteger(value),
+    allowedMimeTypes: (value) => Array.isArray(value) && value.every(type => typeof type === "string"),
+    defaultAiModel: (value) => typeof value === "string",
+    // { user: { daily, monthly }, moderator: ..., admin: ... } in tokens, 0 is no limit
+    aiQuotas: (value) => Boolean(value) && USER_ROLES.every(role =>
+        [value[role]?.daily, value[role]?.monthly].every(limit => Number.isInteger(limit) && limit >= 0)
+    ),
+};
+
+//change some of the app wide settings, see lib/settings.js
+export const updateAdminSettings = async (req, res) => {
+    try {
+        const changes = {};
+        for (const field of SETTINGS_FIELDS) {
+            if (req.body[field] === undefined) continue;
+            if (!SETTING_TYPES[field](req.body[field])) {
+                return res.status(400).json({ success: false, message: `Invalid value for ${field}` });
+            }
+            changes[field] = req.body[field];
+        }
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ success: false, message: `Nothing to update, send one of: ${SETTINGS_FIELDS.join(", ")}` });
+        }
+        if (changes.defaultAiModel && !(await getAiProvider().listModels()).includes(changes.defaultAiModel)) {
+            return res.status(400).json({ success: false, message: "This AI model is not available" });
+        }
+
+        const settings = await updateSettings(changes);
+        res.status(200).json({ success: true, message: "Settings updated", settings });
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+        }
+        console.log("Update settings error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//counts for the dashboard, msgs and ai calls per day for the last STATS_DAYS days
+export const getStats = async (req, res) => {
+    try {
+        const since = new Date();
+        since.setUTCHours(0, 0, 0, 0);
+        since.setUTCDate(since.getUTCDate() - (STATS_DAYS - 1));
+        const activeSince = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const aiId = mongoose.isValidObjectId(process.env.AI_ASSISTANT_ID) ? new mongoose.Types.ObjectId(process.env.AI_ASSISTANT_ID) : null;
+
+        const [totalUsers, suspendedUsers, totalMessages, groups, recentlySeen, perDay] = await Promise.all([
+            User.countDocuments({ _id: { $ne: aiId } }),
+            User.countDocuments({ suspendedAt: { $ne: null } }),
+            Message.countDocuments(),
+            Conversation.countDocuments(),
+            User.find({ lastSeen: { $gte: activeSince } }).select("_id").lean(),
+            Message.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                        messages: { $sum: 1 },
+                        aiCalls: { $sum: { $cond: [{ $eq: ["$senderId", aiId] }, 1, 0] } },
+                    }
+                },
+            ]),
+        ]);
+
+        // users online right now count as active even if lastSeen is old
+        const activeUsers = new Set([...recentlySeen.map(user => user._id.toString()), ...userSocketMap.keys()]).size;
+
+        // fill the days without msgs so the chart has no gaps
+        const counts = new Map(perDay.map(day => [day._id, day]));
+        const messagesPerDay = [];
+        for (let i = 0; i < STATS_DAYS; i++) {
+            const date = new Date(since.getTime() + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            messagesPerDay.push({ date, messages: counts.get(date)?.messages || 0, aiCalls: counts.get(date)?.aiCalls || 0 });
+        }
+
+        res.status(200).json({
+            success: true,
+            stats: {
+                totalUsers,
+                suspendedUsers,
+                totalMessages,
+                groups,
+                onlineNow: userSocketMap.size,
+                activeUsers,
+                aiCalls: messagesPerDay.reduce((sum, day) => sum + day.aiCalls, 0),
+                messagesPerDay,
+            },
+        });
+    } catch (error) {
+        console.log("Admin stats error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//tokens, requests and latency of the AI for the last ?days= days (30 by default), per model and top users
+export const getAiUsageSummary = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || AI_USAGE_DAYS, 1), 90);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const totalsOf = {
+            requests: { $sum: 1 },
+            promptTokens: { $sum: "$promptTokens" },
+            completionTokens: { $sum: "$completionTokens" },
+            totalTokens: { $sum: "$totalTokens" },
+            avgLatencyMs: { $avg: "$latencyMs" },
+        };
+
+        const [[totals], byModel, byUser] = await Promise.all([
+            AiUsage.aggregate([{ $match: { createdAt: { $gte: since } } }, { $group: { _id: null, ...totalsOf } }]),
+            AiUsage.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                { $group: { _id: { provider: "$provider", model: "$model" }, ...totalsOf } },
+                { $sort: { totalTokens: -1 } },
+            ]),
+            AiUsage.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                { $group: { _id: "$userId", requests: { $sum: 1 }, totalTokens: { $sum: "$totalTokens" } } },
+                { $sort: { totalTokens: -1 } },
+                { $limit: AI_USAGE_TOP_USERS },
+            ]),
+        ]);
+        const users = await User.find({ _id: { $in: byUser.map(row => row._id) } }).select("fullName email profilePic role").lean();
+
+        res.status(200).json({
+            success: true,
+            days,
+            totals: {
+                requests: totals?.requests || 0,
+                promptTokens: totals?.promptTokens || 0,
+                completionTokens: totals?.completionTokens || 0,
+                totalTokens: totals?.totalTokens || 0,
+                avgLatencyMs: Math.round(totals?.avgLatencyMs || 0),
+            },
+            byModel: byModel.map(({ _id, avgLatencyMs, ...row }) => ({ ..._id, ...row, avgLatencyMs: Math.round(avgLatencyMs) })),
+            // deleted users keep their usage, they show up without a user
+            topUsers: byUser.map(row => ({
+                userId: row._id,
+                user: users.find(user => user._id.equals(row._id)) || null,
+                requests: row.requests,
+                totalTokens: row.totalTokens,
+            })),
+        });
+    } catch (error) {
+        console.log("AI usage summary error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//give a user another role, the last admin cannot be demoted
+export const setUserRole = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ success: false, message: "Invalid user id" });
+        }
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `role must be one of: ${USER_ROLES.join(", ")}` });
+        }
+
+        const user = await User.findById(userId).select("role").lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+        if (user.role === "admin" && role !== "admin" && await User.countDocuments({ role: "admin" }) === 1) {
+            return res.status(400).json({ success: false, message: "Cannot demote the last admin" });
+        }
+
+        await User.updateOne({ _id: userId }, { $set: { role } });
+        // the user's open tabs pick up the new role without a reload
+        emitToUsers([userId], "roleChanged", role);
+        res.status(200).json({ success: true, message: "Role updated", role });
+    } catch (error) {
+        console.log("Set user role error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
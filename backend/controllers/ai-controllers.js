@@ -1,26 +1,34 @@
-import Groq from "groq-sdk";
+import mongoose from "mongoose";
+import { getSettings, updateSettings } from "../lib/settings.js";
+import { saveAiMessage, resolveAiModel, completeChat } from "../lib/ai.js";
+import { getAiProvider, estimateTokens } from "../lib/ai-providers.js";
+import { getAiQuota, getQuotaError, recordAiUsage } from "../lib/ai-usage.js";
+import { buildAiContext, rollUpAiMemory, resetAiMemory } from "../lib/ai-memory.js";
+import { AiMemory } from "../models/ai-memory-model.js";
 import { Message } from "../models/message-model.js";
 import { User } from "../models/user-model.js";
-import { io } from "../server.js";
 
-// Initial load from env variable (env vars are strings)
-let aiEnabled = String(process.env.AI_ENABLED || '').toLowerCase() === 'true';
+// Chats longer than this are summarized from their newest messages
+const SUMMARY_TOKEN_BUDGET = 6000;
+const SUMMARY_MAX_MESSAGES = 500;
+
+// Warm the settings cache on server start (AI_ENABLED is the default until an admin saves settings)
 export async function loadAiEnabled() {
 	try {
-		const aiAssistant = await User.findById(process.env.AI_ASSISTANT_ID).select('enabled').lean();
-		if (aiAssistant && typeof aiAssistant.enabled === 'boolean') {
-			aiEnabled = aiAssistant.enabled;
-		}
+		const { aiEnabled } = await getSettings();
+		console.log(`AI is ${aiEnabled ? "enabled" : "disabled"}`);
 	} catch (error) {
 		console.error("Error loading AI enabled status:", error);
 	}
 }
 
-// Simple AI chat completion controller
+// Simple AI chat completion controller, waits for the whole reply
 export const chatWithAI = async (req, res) => {
 	try {
 		const { messages: incomingMessages, model, prompt } = req.body || {}; //message and prompt are different it means that message is an array of objects and prompt is a string
 		const userId = req.user._id; // Current user ID
+		const { aiEnabled } = await getSettings();
+		const provider = getAiProvider();
 
 		// Check if AI service is enabled
 		if (!aiEnabled) {
@@ -28,16 +36,28 @@ export const chatWithAI = async (req, res) => {
 			return res.status(503).json({ success: false, message: "AI service is currently disabled" });
 		}
 
-		if (!process.env.GROQ_API_KEY) {
-			return res.status(500).json({ success: false, message: "GROQ_API_KEY not configured" });
+		if (provider.configError) {
+			return res.status(500).json({ success: false, message: provider.configError });
+		}
+
+		// per user token quota of the user's role
+		const quota = await getAiQuota(userId);
+		const quotaError = getQuotaError(quota);
+		if (quotaError) {
+			return res.status(429).json({ success: false, message: quotaError, quota });
+		}
+
+		// only models the provider lists can be asked for
+		const resolvedModel = await resolveAiModel(model);
+		if (!resolvedModel) {
+			return res.status(400).json({ success: false, message: "This AI model is not available" });
 		}
 
 		let messages = incomingMessages;
-		if ((!Array.isArray(messages) || messages.length === 0) && typeof prompt === "string" && prompt.trim().length > 0) {
-			messages = [
-				{ role: "system", content: "You are a Alison A.I. created by Mr.AVC for assistance" }, //this is used for context so that AI knows who it is
-				{ role: "user", content: prompt }
-			];
+		const withMemory = (!Array.isArray(messages) || messages.length === 0) && typeof prompt === "string" && prompt.trim().length > 0;
+		if (withMemory) {
+			// summary and recent turns from the stored chat, read before the prompt is saved
+			messages = await buildAiContext(userId, prompt);
 		}
 
 		if (!Array.isArray(messages) || messages.length === 0) {
@@ -59,42 +79,28 @@ export const chatWithAI = async (req, res) => {
 		// }
 
 		// Save user message to database
-		const userMessage = new Message({
-			senderId: userId,
-			receiverId: process.env.AI_ASSISTANT_ID,
-			text: prompt,
-			seen: true // AI messages immediately "seen"
-		});
-		await userMessage.save();
+		const userMessage = await saveAiMessage(userId, process.env.AI_ASSISTANT_ID, prompt);
 
 		// Get AI response
-		const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-		const response = await groq.chat.completions.create({
-			model: model || "llama-3.1-8b-instant",
-			messages,
-			temperature: 0.3
-		});
-
-		const choice = response?.choices?.[0];
-		const aiReply = choice?.message?.content || "Sorry, I couldn't generate a response.";
+		const startedAt = Date.now();
+		const { content, usage } = await provider.chat({ model: resolvedModel, messages });
+		const aiReply = content || "Sorry, I couldn't generate a response.";
+		await recordAiUsage({ userId, provider: provider.name, model: resolvedModel, usage, messages, reply: content, startedAt });
 
 		// Save AI response to database
-		const aiMessage = new Message({
-			senderId: process.env.AI_ASSISTANT_ID,
-			receiverId: userId,
-			text: aiReply,
-			seen: true
-		});
-		await aiMessage.save();
+		const aiMessage = await saveAiMessage(process.env.AI_ASSISTANT_ID, userId, aiReply);
+		if (withMemory) rollUpAiMemory(userId, resolvedModel);
 
 		// Note: Not emitting socket events for AI messages since frontend handles them directly
+		// (the app itself streams replies over the socket, see lib/ai.js)
 
 		return res.status(200).json({
 			success: true,
-			message: choice?.message || null,
+			message: content ? { role: "assistant", content } : null,
 			content: aiReply,
 			userMessage,
-			aiMessage
+			aiMessage,
+			quota: await getAiQuota(userId)
 		});
 	} catch (error) {
 		console.log("AI chat error:", error);
@@ -106,37 +112,164 @@ export const toggleAiStatus = async (req, res) => {
 	try {
 		const { enabled } = req.body || {};
 
-		// Read current status if no enabled value provided
-		if (enabled === undefined) {
-			return res.json({ success: true, enabled: aiEnabled });
-		}
-
-		if (String(req.user._id) !== String(process.env.ADMIN_ID)) {
-			return res.status(403).json({ success: false, message: 'Admin access required' });
-		}
-
 		if (typeof enabled !== 'boolean') {
 			return res.status(400).json({ success: false, message: 'enabled must be boolean' });
 		}
 
-		aiEnabled = enabled;
-		await User.findByIdAndUpdate(process.env.AI_ASSISTANT_ID, { enabled });
-		try {
-			io.emit("aiStatusChanged", aiEnabled);
-		} catch (error) {
-			console.error("Socket aiStatus error:", error);
-		}
-		return res.json({ success: true, enabled });
+		const { aiEnabled } = await updateSettings({ aiEnabled: enabled });
+		return res.json({ success: true, enabled: aiEnabled });
 	} catch (error) {
 		console.error("AI toggle error:", error);
 		return res.status(500).json({ success: false, message: 'Server error' });
 	}
 };
 
-export const getAiStatus = (req, res) => {
+export const getAiStatus = async (req, res) => {
 	try {
+		const { aiEnabled } = await getSettings();
 		return res.json({ success: true, enabled: aiEnabled });
 	} catch (err) {
 		return res.status(500).json({ success: false, message: 'ai status error' });
 	}
-};
\ No newline at end of file
+};
+
+// Tokens the user spent today and this month and what is left of their quota
+export const getAiUsage = async (req, res) => {
+	try {
+		return res.json({ success: true, usage: await getAiQuota(req.user._id) });
+	} catch (error) {
+		console.log("AI usage error:", error);
+		return res.status(500).json({ success: false, message: "Internal server error" });
+	}
+};
+
+// Models clients may ask for, the first one of the provider is used when the admin picked none
+export const getAiModels = async (req, res) => {
+	try {
+		const provider = getAiProvider();
+		const [models, defaultModel] = await Promise.all([provider.listModels(), resolveAiModel()]);
+		return res.json({ success: true, provider: provider.name, models, defaultModel: defaultModel || null });
+	} catch (error) {
+		console.log("AI models error:", error);
+		return res.status(500).json({ success: false, message: "Internal server error" });
+	}
+};
+
+// When the current thread with the assistant started, msgs before it are not sent as context
+export const getAiContext = async (req, res) => {
+	try {
+		const memory = await AiMemory.findOne({ userId: req.user._id }).lean();
+		return res.json({ success: true, contextStartAt: memory?.contextStartAt || null, hasSummary: Boolean(memory?.summary) });
+	} catch (error) {
+		console.log("AI context error:", error);
+		return res.status(500).json({ success: false, message: "Internal server error" });
+	}
+};
+
+// Start a fresh thread with the assistant, the history stays
+export const resetAiContext = async (req, res) => {
+	try {
+		const memory = await resetAiMemory(req.user._id);
+		return res.json({ success: true, message: "Alison starts fresh from here", contextStartAt: memory.contextStartAt });
+	} catch (error) {
+		console.log("AI context reset error:", error);
+		return res.status(500).json({ success: false, message: "Internal server error" });
+	}
+};
+
+// Summarize a direct chat for the user catching up on it: all of it, the part from "since" on, or only the unread part
+// Nothing is saved in the chat, the summary only goes back to the caller
+export const summarizeConversation = async (req, res) => {
+	try {
+		const userId = req.user._id;
+		const otherUserId = req.params.userId;
+		// from the body or the query string, where "false" must not count as true
+		const unreadOnly = req.body?.unreadOnly === true || req.query.unreadOnly === "true";
+		const since = req.body?.since ?? req.query.since;
+
+		if (!mongoose.isValidObjectId(otherUserId) || otherUserId === String(userId) || otherUserId === process.env.AI_ASSISTANT_ID) {
+			return res.status(400).json({ success: false, message: "Invalid user id" });
+		}
+		if (since !== undefined && isNaN(new Date(since).getTime())) {
+			return res.status(400).json({ success: false, message: "since must be a date" });
+		}
+
+		const { aiEnabled } = await getSettings();
+		if (!aiEnabled) {
+			return res.status(503).json({ success: false, message: "AI service is currently disabled" });
+		}
+		const provider = getAiProvider();
+		if (provider.configError) {
+			return res.status(500).json({ success: false, message: provider.configError });
+		}
+		const quota = await getAiQuota(userId);
+		const quotaError = getQuotaError(quota);
+		if (quotaError) {
+			return res.status(429).json({ success: false, message: quotaError, quota });
+		}
+
+		const otherUser = await User.findById(otherUserId).select("fullName").lean();
+		if (!otherUser) {
+			return res.status(404).json({ success: false, message: "User not found" });
+		}
+
+		let from = since ? new Date(since) : null;
+		if (unreadOnly) {
+			const firstUnread = await Message.findOne({ senderId: otherUserId, receiverId: userId, readAt: null, deletedFor: { $ne: userId } })
+				.sort({ createdAt: 1 }).select("createdAt").lean();
+			if (!firstUnread) {
+				return res.json({ success: true, message: "No unread messages", summary: null, messageCount: 0, quota });
+			}
+			from = firstUnread.createdAt;
+		}
+
+		const messages = await Message.find({
+			$and: [
+				{ $or: [{ senderId: userId, receiverId: otherUserId }, { senderId: otherUserId, receiverId: userId }] },
+				{ $or: [{ text: { $nin: [null, ""] } }, { image: { $nin: [null, ""] } }] },
+			],
+			deletedFor: { $ne: userId },
+			deletedAt: { $exists: false },
+			...(from && { createdAt: { $gte: from } }),
+		}).sort({ createdAt: -1 }).limit(SUMMARY_MAX_MESSAGES).select("senderId text image createdAt").lean();
+		if (messages.length === 0) {
+			return res.json({ success: true, message: "Nothing to summarize", summary: null, messageCount: 0, quota });
+		}
+
+		// newest messages first until the budget is used up, then back in order
+		const names = { [String(userId)]: req.user.fullName, [otherUserId]: otherUser.fullName };
+		const lines = [];
+		let tokens = 0;
+		for (const msg of messages) {
+			const line = `${names[String(msg.senderId)]}: ${msg.text || "(sent a photo)"}`;
+			tokens += estimateTokens(line);
+			if (tokens > SUMMARY_TOKEN_BUDGET && lines.length > 0) break;
+			lines.unshift(line);
+		}
+
+		const summary = await completeChat({
+			userId,
+			kind: "summarize",
+			messages: [
+				{
+					role: "system",
+					content: `Summarize this chat between ${req.user.fullName} and ${otherUser.fullName} for ${req.user.fullName}, who is catching up on it. ` +
+						"Use a few short bullet points: the main topics, decisions, open questions and anything they were asked to do. Reply with the summary only."
+				},
+				{ role: "user", content: lines.join("\n") }
+			],
+		});
+
+		return res.json({
+			success: true,
+			summary: summary.trim() || null,
+			messageCount: lines.length,
+			// older messages did not fit and were left out
+			truncated: lines.length < messages.length,
+			quota: await getAiQuota(userId)
+		});
+	} catch (error) {
+		console.log("AI summarize error:", error);
+		return res.status(500).json({ success: false, message: "Internal server error" });
+	}
+};
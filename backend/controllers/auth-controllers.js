@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import { generateToken, generateRefreshToken, verifyRefreshToken, hashToken, refreshCookieOptions, validatePassword, isValidEmail, REFRESH_COOKIE } from "../lib/util.js";
+import { describeDevice, findActiveSession, revokeSessions } from "../lib/sessions.js";
+import { createAuthToken, consumeAuthToken } from "../lib/auth-tokens.js";
+import { sendVerificationEmail, sendPasswordResetEmail, sendEmailChangeEmail, sendPasswordChangedEmail } from "../lib/mailer.js";
+import { RefreshToken } from "../models/refresh-token-model.js";
+import { Session } from "../models/session-model.js";
+import { User } from "../models/user-model.js";
+
+// two tabs refreshing at once present the same token, the later one is not treated as reuse
+const ROTATION_GRACE_MS = 10 * 1000;
+
+//create a refresh token for a session (or use the one given), store its hash and send it as httpOnly cookie
+const issueRefreshToken = async (res, userId, sessionId, refreshToken = generateRefreshToken(userId, String(sessionId))) => {
+    const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+    await RefreshToken.create({ userId, tokenHash: hashToken(refreshToken), family: String(sessionId), expiresAt });
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), expires: expiresAt });
+    return { refreshToken, expiresAt };
+}
+
+const clearRefreshCookie = (res) => res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+
+//start a new login: records the session, sets the refresh cookie and returns a short-lived access token
+export const startSession = async (req, res, userId) => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { expiresAt } = await issueRefreshToken(res, userId, sessionId);
+    const userAgent = req.headers["user-agent"] || "";
+    await Session.create({ _id: sessionId, userId, userAgent, device: describeDevice(userAgent), ip: req.ip, expiresAt });
+    return generateToken(userId, sessionId);
+}
+
+//rotate the refresh cookie and return a new access token
+export const refreshAccessToken = async (req, res) => {
+    try {
+        const presented = req.cookies?.[REFRESH_COOKIE];
+        if (!presented) {
+            return res.status(401).json({ success: false, message: "Unauthorized - No refresh token" });
+        }
+
+        try {
+            verifyRefreshToken(presented);
+        } catch (error) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ success: false, message: "Unauthorized - Invalid refresh token" });
+        }
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(presented) });
+        if (!stored) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ success: false, message: "Unauthorized - Invalid refresh token" });
+        }
+
+        const session = await findActiveSession(stored.family, stored.userId);
+        if (!session) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ success: false, message: "Unauthorized - Session revoked" });
+        }
+
+        //claim the token atomically so it can only be rotated once, the claim also records its replacement
+        const now = new Date();
+        const nextToken = generateRefreshToken(stored.userId, String(session._id));
+        const claimed = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { $set: { revokedAt: now, replacedBy: hashToken(nextToken) } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            // stored was read before the claim, another request may have rotated the token since
+            const current = await RefreshToken.findById(stored._id).select("revokedAt replacedBy").lean();
+            const rotatedRecently = current?.replacedBy && now - current.revokedAt < ROTATION_GRACE_MS;
+            if (!rotatedRecently) {
+                // a rotated token came back: someone holds a copy, so end the whole session
+                console.log("Refresh token reuse detected for user:", String(stored.userId));
+                await revokeSessions(stored.userId, { _id: session._id });
+                clearRefreshCookie(res);
+                return res.status(401).json({ success: false, message: "Unauthorized - Refresh token reuse detected" });
+            }
+            // concurrent refresh, the browser already holds the rotated cookie
+            return res.status(200).json({ success: true, token: generateToken(stored.userId, session._id) });
+        }
+
+        const { expiresAt } = await issueRefreshToken(res, stored.userId, session._id, nextToken);
+        await Session.updateOne({ _id: session._id }, { $set: { expiresAt, lastActiveAt: now } });
+
+        res.status(200).json({ success: true, token: generateToken(stored.userId, session._id) });
+    } catch (error) {
+        console.log("Refresh token error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//revoke the session of this login and clear the cookie
+export const logout = async (req, res) => {
+    try {
+        const presented = req.cookies?.[REFRESH_COOKIE];
+        if (presented) {
+            const stored = await RefreshToken.findOne({ tokenHash: hashToken(presented) }).select("userId family").lean();
+            if (stored && mongoose.isValidObjectId(stored.family)) {
+                await revokeSessions(stored.userId, { _id: stored.family });
+            }
+        }
+        clearRefreshCookie(res);
+        res.status(200).json({ success: true, message: "Logged out successfully" });
+    } catch (error) {
+        console.log("Logout error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//active sessions of the logged in user, the one making the request is marked as current
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await Session
+            .find({ userId: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select("device userAgent ip lastActiveAt createdAt")
+            .sort({ lastActiveAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            sessions: sessions.map((session) => ({ ...session, current: String(session._id) === req.sessionId })),
+        });
+    } catch (error) {
+        console.log("Get sessions error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//log out one device
+export const endSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        if (!mongoose.isValidObjectId(sessionId)) {
+            return res.status(400).json({ success: false, message: "Invalid session id" });
+        }
+
+        const revoked = await revokeSessions(req.user._id, { _id: sessionId });
+        if (revoked.length === 0) {
+            return res.status(404).json({ success: false, message: "Session not found" });
+        }
+        if (sessionId === req.sessionId) {
+            clearRefreshCookie(res);
+        }
+        res.status(200).json({ success: true, message: "Session ended" });
+    } catch (error) {
+        console.log("End session error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//log out everywhere, including this device
+export const endAllSessions = async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.user._id);
+        clearRefreshCookie(res);
+        res.status(200).json({ success: true, message: `Logged out of ${revoked.length} session(s)` });
+    } catch (error) {
+        console.log("End all sessions error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//confirm the email address with the token from the verification link
+export const verifyEmail = async (req, res) => {
+    try {
+        const authToken = await consumeAuthToken(req.body.token, "verify-email");
+        if (!authToken) {
+            return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+        }
+        await User.updateOne({ _id: authToken.userId }, { $set: { emailVerified: true } });
+        res.status(200).json({ success: true, message: "Email verified successfully" });
+    } catch (error) {
+        console.log("Verify email error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//send a new verification link to the logged in user
+export const resendVerificationEmail = async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({ success: false, message: "Email is already verified" });
+        }
+        const token = await createAuthToken(req.user._id, "verify-email");
+        await sendVerificationEmail(req.user, token);
+        res.status(200).json({ success: true, message: "Verification email sent" });
+    } catch (error) {
+        console.log("Resend verification error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//email a password reset link, the answer is the same whether the account exists or not
+export const forgotPassword = async (req, res) => {
+    try {
+        // a string, never a query object like { $ne: null }
+        const email = String(req.body.email ?? "").trim();
+        if (!email) {
+            return res.status(400).json({ success: false, message: "Email is required" });
+        }
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ success: false, message: "Enter a valid email" });
+        }
+        const user = await User.findOne({ email });
+        if (user) {
+            // not awaited, so the answer takes as long whether the account exists or not
+            createAuthToken(user._id, "reset-password")
+                .then((token) => sendPasswordResetEmail(user, token))
+                .catch((error) => console.log("Password reset email error:", error.message));
+        }
+        res.status(200).json({ success: true, message: "If an account exists for this email, a reset link has been sent" });
+    } catch (error) {
+        console.log("Forgot password error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//set a new password with the token from the reset link and log out every session
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+
+        const authToken = await consumeAuthToken(token, "reset-password");
+        if (!authToken) {
+            return res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+        // the link was opened from the inbox, so the address is verified as well
+        await User.updateOne({ _id: authToken.userId }, { $set: { password: hashedPassword, emailVerified: true, failedLoginAttempts: 0, lockedUntil: null } });
+        await revokeSessions(authToken.userId);
+
+        res.status(200).json({ success: true, message: "Password reset successfully, please login" });
+    } catch (error) {
+        console.log("Reset password error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//the logged in user with the password hash, null when currentPassword does not match it
+const checkCurrentPassword = async (userId, currentPassword) => {
+    if (!currentPassword) return null;
+    const user = await User.findById(userId).select("+password");
+    const isPasswordCorrect = user && await bcrypt.compare(currentPassword, user.password);
+    return isPasswordCorrect ? user : null;
+}
+
+//change the password of the logged in user, every other session is logged out
+export const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = await checkCurrentPassword(req.user._id, currentPassword);
+        if (!user) {
+            return res.status(400).json({ success: false, message: "Current password is incorrect" });
+        }
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+        if (await bcrypt.compare(newPassword, user.password)) {
+            return res.status(400).json({ success: false, message: "New password must be different from the current one" });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(newPassword, salt);
+        await user.save();
+        await revokeSessions(user._id, { _id: { $ne: req.sessionId } });
+        sendPasswordChangedEmail(user).catch((error) => console.log("Password changed email error:", error.message));
+
+        res.status(200).json({ success: true, message: "Password changed, other devices were logged out" });
+    } catch (error) {
+        console.log("Change password error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//start an email change, the new address has to confirm it with the emailed link
+export const changeEmail = async (req, res) => {
+    try {
+        const { currentPassword } = req.body;
+        const newEmail = String(req.body.newEmail ?? "").trim().toLowerCase();
+        if (!newEmail) {
+            return res.status(400).json({ success: false, message: "New email is required" });
+        }
+        if (!isValidEmail(newEmail)) {
+            return res.status(400).json({ success: false, message: "Enter a valid email" });
+        }
+
+        const user = await checkCurrentPassword(req.user._id, currentPassword);
+        if (!user) {
+            return res.status(400).json({ success: false, message: "Current password is incorrect" });
+        }
+        if (newEmail === user.email) {
+            return res.status(400).json({ success: false, message: "This is already your email" });
+        }
+        if (await User.exists({ email: newEmail })) {
+            return res.status(400).json({ success: false, message: "Email is already in use" });
+        }
+
+        const token = await createAuthToken(user._id, "change-email", { email: newEmail });
+        await sendEmailChangeEmail(user, newEmail, token);
+        res.status(200).json({ success: true, message: `Confirmation link sent to ${newEmail}` });
+    } catch (error) {
+        console.log("Change email error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//finish an email change with the token sent to the new address
+export const confirmEmailChange = async (req, res) => {
+    try {
+        const authToken = await consumeAuthToken(req.body.token, "change-email");
+        if (!authToken) {
+            return res.status(400).json({ success: false, message: "Confirmation link is invalid or has expired" });
+        }
+        // someone may have signed up with the address since the link was sent
+        if (await User.exists({ email: authToken.email, _id: { $ne: authToken.userId } })) {
+            return res.status(400).json({ success: false, message: "Email is already in use" });
+        }
+
+        await User.updateOne({ _id: authToken.userId }, { $set: { email: authToken.email, emailVerified: true } });
+        res.status(200).json({ success: true, message: "Email changed successfully", email: authToken.email });
+    } catch (error) {
+        console.log("Confirm email change error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
@@ -0,0 +1,220 @@
+import mongoose from "mongoose";
+import { uploadOnCloudinary, safeDeleteFile } from "../lib/cloudinary.js";
+import { Conversation } from "../models/conversation-model.js";
+import { Message } from "../models/message-model.js";
+import { User } from "../models/user-model.js";
+import { emitToUsers } from "../server.js";
+
+const MEMBER_FIELDS = "fullName profilePic bio";
+
+const isAdmin = (conversation, userId) => conversation.admins.some((adminId) => adminId.equals(userId));
+
+//keep only ids of existing users, dropping duplicates and malformed values
+const resolveMemberIds = async (memberIds) => {
+    if (!Array.isArray(memberIds)) return [];
+    const validIds = [...new Set(memberIds.map(String))].filter((id) => mongoose.isValidObjectId(id));
+    const users = await User.find({ _id: { $in: validIds } }).select("_id").lean();
+    return users.map((user) => user._id);
+}
+
+//push the latest state of a conversation to all of its members
+const broadcastConversation = async (conversation) => {
+    const populated = await conversation.populate("members", MEMBER_FIELDS);
+    emitToUsers(populated.members.map((member) => member._id), "conversationUpdated", populated);
+    return populated;
+}
+
+//get all group conversations of the logged in user
+export const getConversations = async (req, res) => {
+    try {
+        const conversations = await Conversation
+            .find({ members: req.user._id })
+            .populate("members", MEMBER_FIELDS)
+            .sort({ updatedAt: -1 });
+        res.status(200).json({ success: true, conversations });
+    } catch (error) {
+        console.log("Get conversations error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//create a new group with the logged in user as admin
+export const createConversation = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { name, memberIds } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: "Group name is required" });
+        }
+        const members = (await resolveMemberIds(memberIds)).filter((id) => !id.equals(userId));
+        if (members.length === 0) {
+            return res.status(400).json({ success: false, message: "At least one other member is required" });
+        }
+
+        const conversation = await Conversation.create({
+            name: name.trim(),
+            members: [userId, ...members],
+            admins: [userId],
+            createdBy: userId,
+        });
+        const populated = await broadcastConversation(conversation);
+        res.status(201).json({ success: true, conversation: populated });
+    } catch (error) {
+        console.log("Create conversation error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//rename a group (admins only)
+export const renameConversation = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: "Group name is required" });
+        }
+        const conversation = await Conversation.findOne({ _id: req.params.conversationId, members: userId });
+        if (!conversation) {
+            return res.status(404).json({ success: false, message: "Conversation not found" });
+        }
+        if (!isAdmin(conversation, userId)) {
+            return res.status(403).json({ success: false, message: "Only group admins can rename the group" });
+        }
+
+        conversation.name = name.trim();
+        await conversation.save();
+        const populated = await broadcastConversation(conversation);
+        res.status(200).json({ success: true, conversation: populated });
+    } catch (error) {
+        console.log("Rename conversation error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//change the group avatar (admins only)
+export const updateConversationAvatar = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: "Avatar image is required" });
+        }
+        const conversation = await Conversation.findOne({ _id: req.params.conversationId, members: userId });
+        if (!conversation) {
+            safeDeleteFile(req.file.path);
+            return res.status(404).json({ success: false, message: "Conversation not found" });
+        }
+        if (!isAdmin(conversation, userId)) {
+            safeDeleteFile(req.file.path);
+            return res.status(403).json({ success: false, message: "Only group admins can change the avatar" });
+        }
+
+        const uploadResponse = await uploadOnCloudinary(req.file.path);
+        if (!uploadResponse) {
+            return res.status(500).json({ success: false, message: "Image upload failed" });
+        }
+        conversation.avatar = uploadResponse.secure_url;
+        await conversation.save();
+        const populated = await broadcastConversation(conversation);
+        res.status(200).json({ success: true, conversation: populated });
+    } catch (error) {
+        console.log("Update conversation avatar error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//add members to a group (admins only)
+export const addMembers = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const conversation = await Conversation.findOne({ _id: req.params.conversationId, members: userId });
+        if (!conversation) {
+            return res.status(404).json({ success: false, message: "Conversation not found" });
+        }
+        if (!isAdmin(conversation, userId)) {
+            return res.status(403).json({ success: false, message: "Only group admins can add members" });
+        }
+
+        const newMembers = (await resolveMemberIds(req.body.memberIds))
+            .filter((id) => !conversation.members.some((memberId) => memberId.equals(id)));
+        if (newMembers.length === 0) {
+            return res.status(400).json({ success: false, message: "No new members to add" });
+        }
+
+        conversation.members.push(...newMembers);
+        await conversation.save();
+        const populated = await broadcastConversation(conversation);
+        res.status(200).json({ success: true, conversation: populated });
+    } catch (error) {
+        console.log("Add members error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//remove a member from a group (admins only)
+export const removeMember = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { conversationId, memberId } = req.params;
+
+        if (userId.equals(memberId)) {
+            return res.status(400).json({ success: false, message: "Use leave to remove yourself from a group" });
+        }
+        const conversation = await Conversation.findOne({ _id: conversationId, members: userId });
+        if (!conversation) {
+            return res.status(404).json({ success: false, message: "Conversation not found" });
+        }
+        if (!isAdmin(conversation, userId)) {
+            return res.status(403).json({ success: false, message: "Only group admins can remove members" });
+        }
+        if (!conversation.members.some((id) => id.equals(memberId))) {
+            return res.status(404).json({ success: false, message: "User is not a member of this group" });
+        }
+
+        conversation.members.pull(memberId);
+        conversation.admins.pull(memberId);
+        await conversation.save();
+
+        emitToUsers([memberId], "conversationRemoved", { conversationId });
+        const populated = await broadcastConversation(conversation);
+        res.status(200).json({ success: true, conversation: populated });
+    } catch (error) {
+        console.log("Remove member error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//leave a group; the last member leaving deletes it
+export const leaveConversation = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { conversationId } = req.params;
+
+        const conversation = await Conversation.findOne({ _id: conversationId, members: userId });
+        if (!conversation) {
+            return res.status(404).json({ success: false, message: "Conversation not found" });
+        }
+
+        conversation.members.pull(userId);
+        conversation.admins.pull(userId);
+
+        if (conversation.members.length === 0) {
+            await Message.deleteMany({ conversationId });
+            await conversation.deleteOne();
+        } else {
+            // a group always keeps at least one admin
+            if (conversation.admins.length === 0) {
+                conversation.admins.push(conversation.members[0]);
+            }
+            await conversation.save();
+            await broadcastConversation(conversation);
+        }
+
+        emitToUsers([userId], "conversationRemoved", { conversationId });
+        res.status(200).json({ success: true, message: "Left the group" });
+    } catch (error) {
+        console.log("Leave conversation error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
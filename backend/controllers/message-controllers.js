@@ -1,75 +1,194 @@
-import { uploadOnCloudinary } from "../lib/cloudinary.js";
+import mongoose from "mongoose";
+import { uploadOnCloudinary, safeDeleteFile, deleteFromCloudinary } from "../lib/cloudinary.js";
 import { Message } from "../models/message-model.js";
 import { User } from "../models/user-model.js";
-import { userSocketMap, io } from "../server.js";
+import { Conversation } from "../models/conversation-model.js";
+import { emitToUsers } from "../server.js";
+import { markRead } from "../lib/receipts.js";
+import { isBlockedBetween } from "../lib/blocks.js";
+import { addContact } from "../lib/contacts.js";
+import { resetAiMemory } from "../lib/ai-memory.js";
 import fs from "fs";
 
-//get all users list
+//get contacts and message requests with unread count, last msg and last activity per user, most recent first
+//a request is a non-contact who sent us a direct msg, it becomes a contact once accepted or answered
 export const getUsersForSidebar = async (req, res) => {
     try {
         const userId = req.user._id;
+        const contactIds = req.user.contacts || [];
 
-        const filteredUsers = await User
-            .find({
-                _id: {
-                    $ne: userId
+        const requestIds = await Message.distinct("senderId", {
+            receiverId: userId,
+            deletedFor: { $ne: userId },
+            senderId: { $nin: [userId, ...contactIds, ...(req.user.blockedUsers || [])] },
+        });
+        // the AI assistant is always listed
+        const aiId = mongoose.isValidObjectId(process.env.AI_ASSISTANT_ID) ? [new mongoose.Types.ObjectId(process.env.AI_ASSISTANT_ID)] : [];
+
+        const peerIds = [...contactIds, ...requestIds, ...aiId].filter((id) => !id.equals(userId));
+
+        const [sidebarUsers, threads] = await Promise.all([
+            User.aggregate([
+                { $match: { _id: { $in: peerIds } } },
+                //only public fields, aggregate ignores select:false so secrets must never reach this list
+                //the picked status stays private, others only see the broadcast presence
+                //users who blocked us keep their last seen to themselves
+                {
+                    $project: {
+                        fullName: 1,
+                        profilePic: 1,
+                        bio: 1,
+                        role: 1,
+                        lastSeen: { $cond: [{ $in: [userId, { $ifNull: ["$blockedUsers", []] }] }, null, "$lastSeen"] },
+                    }
+                },
+            ]),
+            //one pass over our direct msgs with these users, both branches use the senderId/receiverId index
+            Message.aggregate([
+                {
+                    $match: {
+                        $or: [
+                            { senderId: userId, receiverId: { $in: peerIds } },
+                            { senderId: { $in: peerIds }, receiverId: userId }
+                        ],
+                        deletedFor: { $ne: userId }
+                    }
+                },
+                { $sort: { createdAt: -1 } },
+                {
+                    $group: {
+                        _id: { $cond: [{ $eq: ["$senderId", userId] }, "$receiverId", "$senderId"] },
+                        lastMessage: { $first: { _id: "$_id", senderId: "$senderId", text: "$text", image: "$image", deletedAt: "$deletedAt", createdAt: "$createdAt" } },
+                        unread: {
+                            $sum: {
+                                $cond: [{
+                                    $and: [
+                                        { $eq: ["$receiverId", userId] },
+                                        { $eq: [{ $ifNull: ["$readAt", null] }, null] }
+                                    ]
+                                }, 1, 0]
+                            }
+                        }
+                    }
                 }
-            })
-            .select("-password");
+            ])
+        ]);
+
+        const threadByUser = new Map(threads.map((thread) => [String(thread._id), thread]));
+        sidebarUsers.forEach((user) => {
+            const thread = threadByUser.get(String(user._id));
+            user.unread = thread?.unread || 0;
+            user.lastMessage = thread?.lastMessage || null;
+            user.lastActivity = thread?.lastMessage.createdAt || null;
+        });
+        sidebarUsers.sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0) || a.fullName.localeCompare(b.fullName));
 
-        //count number of msgs not seen
+        //unread counts keyed by userId
         const unseenMsgs = {};
-        const unseen = filteredUsers.map(async (user) => {
-            const unseenCount = await Message.countDocuments({
-                sender: user._id,
-                receiver: userId,
-                seen: false
-            });
-            unseenMsgs[user._id] = unseenCount;
-            return unseenCount;
+        sidebarUsers.forEach((user) => {
+            unseenMsgs[user._id] = user.unread;
+            delete user.unread;
         });
-        const usersWithUnseen = await Promise.all(unseen);
-        res.status(200).json({ success: true, users: filteredUsers, unseenMsgs });
+        const isRequest = new Set(requestIds.map(String));
+        const users = sidebarUsers.filter((user) => !isRequest.has(String(user._id)));
+        const requests = sidebarUsers.filter((user) => isRequest.has(String(user._id)));
+        res.status(200).json({ success: true, users, requests, unseenMsgs });
     } catch (error) {
         console.log("Get users error:", error);
         res.status(500).json({ success: false, message: "Internal server error" });
     }
 }
 
-//get all msgs between two users
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+//a cursor points at the oldest msg of a page: "<createdAt ms>_<msgId>"
+const encodeCursor = (msg) => `${msg.createdAt.getTime()}_${msg._id}`;
+
+const decodeCursor = (cursor) => {
+    const [time, id] = String(cursor).split("_");
+    const createdAt = new Date(Number(time));
+    if (isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+}
+
+//get a page of msgs between two users, or of a group conversation
+//newest page first; pass ?before=<nextCursor> to load older msgs
 export const getAllMessages = async (req, res) => {
     try {
         const userId = req.user._id;
         const otherUserId = req.params.userId;
+        const conversationId = req.params.conversationId;
+        const { before } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
 
-        const messages = await Message
-            .find({
+        let filter;
+        if (conversationId) {
+            const conversation = await Conversation.exists({ _id: conversationId, members: userId });
+            if (!conversation) {
+                return res.status(404).json({ success: false, message: "Conversation not found" });
+            }
+            filter = { conversationId };
+        } else {
+            filter = {
                 $or: [
                     { senderId: userId, receiverId: otherUserId },
                     { senderId: otherUserId, receiverId: userId }
                 ]
-            })
-            .sort({ createdAt: 1 })
+            };
+        }
 
-        await Message.updateMany({
-            senderId: otherUserId,
-            receiverId: userId,
-            seen: false
-        }, {
-            $set: { seen: true }
-        })
-        res.status(200).json({ success: true, messages });
+        //skip msgs the user deleted for themselves
+        filter.deletedFor = { $ne: userId };
+
+        if (before) {
+            const cursor = decodeCursor(before);
+            if (!cursor) {
+                return res.status(400).json({ success: false, message: "Invalid cursor" });
+            }
+            // msgs sharing a timestamp are ordered by id so no msg is skipped or repeated
+            filter = {
+                $and: [filter, {
+                    $or: [
+                        { createdAt: { $lt: cursor.createdAt } },
+                        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+                    ]
+                }]
+            };
+        }
+
+        //fetch one extra msg to know whether an older page exists
+        const page = await Message
+            .find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+        const hasMore = page.length > limit;
+        const messages = page.slice(0, limit).reverse();
+        const nextCursor = hasMore ? encodeCursor(messages[0]) : null;
+
+        //opening a direct chat reads everything the other user sent
+        if (!conversationId && !before) {
+            await markRead(userId, { senderId: otherUserId });
+        }
+        res.status(200).json({ success: true, messages, nextCursor });
     } catch (error) {
         console.log("Get messages error:", error);
         res.status(500).json({ success: false, message: "Internal server error" });
     }
 }
 
-//make a msg seen using msgId
+//make a msg seen using msgId, only its receiver can do this
 export const makeMsgSeen = async (req, res) => {
     try {
         const msgId = req.params.msgId;
-        await Message.findByIdAndUpdate(msgId, { seen: true });
+        if (!mongoose.isValidObjectId(msgId)) {
+            return res.status(400).json({ success: false, message: "Invalid message id" });
+        }
+        const message = await Message.exists({ _id: msgId, receiverId: req.user._id });
+        if (!message) {
+            return res.status(404).json({ success: false, message: "Message not found" });
+        }
+        await markRead(req.user._id, { _id: msgId });
         res.status(200).json({ success: true, message: "Message marked as seen" });
     } catch (error) {
         console.log("Mark message seen error:", error);
@@ -77,12 +196,39 @@ export const makeMsgSeen = async (req, res) => {
     }
 }
 
-//send a msg from sender to receiver
+//send a msg from sender to receiver, or to every member of a group conversation
 export const sendMessage = async (req, res) => {
     try {
         const senderId = req.user._id;
         const { text } = req.body;
         const receiverId = req.params.userId;
+        const conversationId = req.params.conversationId;
+
+        let recipients = [receiverId];
+        // the receiver is added to our contacts below, so it has to be a real user
+        if (!conversationId) {
+            if (!mongoose.isValidObjectId(receiverId)) {
+                safeDeleteFile(req.file?.path);
+                return res.status(400).json({ success: false, message: "Invalid user id" });
+            }
+            if (!(await User.exists({ _id: receiverId }))) {
+                safeDeleteFile(req.file?.path);
+                return res.status(404).json({ success: false, message: "User not found" });
+            }
+        }
+        // nothing is saved or emitted between users when either blocked the other
+        if (!conversationId && await isBlockedBetween(senderId, receiverId)) {
+            safeDeleteFile(req.file?.path);
+            return res.status(403).json({ success: false, message: "You cannot message this user" });
+        }
+        if (conversationId) {
+            const conversation = await Conversation.findOne({ _id: conversationId, members: senderId }).select("members");
+            if (!conversation) {
+                safeDeleteFile(req.file?.path);
+                return res.status(404).json({ success: false, message: "Conversation not found" });
+            }
+            recipients = conversation.members.filter((memberId) => !memberId.equals(senderId));
+        }
 
         let imageUrl = "";
 
@@ -111,21 +257,154 @@ export const sendMessage = async (req, res) => {
 
         const newMessage = new Message({
             senderId,
-            receiverId,
+            ...(conversationId ? { conversationId } : { receiverId }),
             text: text || "",
             image: imageUrl
         });
 
         await newMessage.save();
+        // writing to someone adds them to our contacts, and answers their request if there was one
+        if (!conversationId) await addContact(senderId, receiverId);
 
-        //emit new message to receiver if online
-        const receiverSocketId = userSocketMap.get(receiverId);
-        if (receiverSocketId) {
-            io.to(receiverSocketId).emit("newMessage", newMessage);
-        }
+        //emit new message to every recipient, and echo it to the sender's other devices
+        emitToUsers([...recipients, senderId], "newMessage", newMessage);
         res.status(201).json({ success: true, newMessage });
     } catch (error) {
         console.log("Send message error:", error);
         res.status(500).json({ success: false, message: "Internal server error" });
     }
-}
\ No newline at end of file
+}
+
+//everyone who can see a msg: both sides of a direct chat, or all members of its group
+const getParticipants = async (message) => {
+    if (message.conversationId) {
+        const conversation = await Conversation.findById(message.conversationId).select("members").lean();
+        return conversation ? conversation.members : [];
+    }
+    return [message.senderId, message.receiverId];
+}
+
+//edit the text of a msg (sender only), keeping the previous versions
+export const editMessage = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const text = req.body.text?.trim();
+
+        if (!mongoose.isValidObjectId(req.params.msgId)) {
+            return res.status(400).json({ success: false, message: "Invalid message id" });
+        }
+        if (!text) {
+            return res.status(400).json({ success: false, message: "Text is required" });
+        }
+        const message = await Message.findById(req.params.msgId);
+        if (!message || message.deletedAt) {
+            return res.status(404).json({ success: false, message: "Message not found" });
+        }
+        if (!message.senderId.equals(userId)) {
+            return res.status(403).json({ success: false, message: "You can only edit your own messages" });
+        }
+        if (message.text === text) {
+            return res.status(200).json({ success: true, message });
+        }
+
+        const editedAt = new Date();
+        message.editHistory.push({ text: message.text, editedAt });
+        message.text = text;
+        message.editedAt = editedAt;
+        await message.save();
+
+        const participants = await getParticipants(message);
+        emitToUsers(participants, "messageEdited", message);
+        res.status(200).json({ success: true, message });
+    } catch (error) {
+        console.log("Edit message error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//delete a msg, ?scope=me hides it for the current user, ?scope=everyone (sender only) leaves a tombstone
+export const deleteMessage = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const scope = req.query.scope || "me";
+
+        if (!["me", "everyone"].includes(scope)) {
+            return res.status(400).json({ success: false, message: "scope must be 'me' or 'everyone'" });
+        }
+        if (!mongoose.isValidObjectId(req.params.msgId)) {
+            return res.status(400).json({ success: false, message: "Invalid message id" });
+        }
+        const message = await Message.findById(req.params.msgId);
+        if (!message) {
+            return res.status(404).json({ success: false, message: "Message not found" });
+        }
+        const participants = await getParticipants(message);
+        if (!participants.some((id) => userId.equals(id))) {
+            return res.status(404).json({ success: false, message: "Message not found" });
+        }
+
+        if (scope === "me") {
+            await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+            emitToUsers([userId], "messageHidden", { messageId: message._id });
+            return res.status(200).json({ success: true, messageId: message._id, scope });
+        }
+
+        if (!message.senderId.equals(userId)) {
+            return res.status(403).json({ success: false, message: "You can only delete your own messages for everyone" });
+        }
+        if (!message.deletedAt) {
+            if (message.image) {
+                await deleteFromCloudinary(message.image);
+            }
+            message.text = "";
+            message.image = "";
+            message.editHistory = [];
+            message.deletedAt = new Date();
+            await message.save();
+            emitToUsers(participants, "messageDeleted", message);
+        }
+        res.status(200).json({ success: true, messageId: message._id, scope, message });
+    } catch (error) {
+        console.log("Delete message error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//hide the whole thread with a user for the current user only
+//msgs hidden by both sides are removed for good, along with their images
+export const deleteConversation = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const otherUserId = req.params.userId;
+
+        if (!mongoose.isValidObjectId(otherUserId)) {
+            return res.status(400).json({ success: false, message: "Invalid user id" });
+        }
+        const thread = {
+            $or: [
+                { senderId: userId, receiverId: otherUserId },
+                { senderId: otherUserId, receiverId: userId }
+            ]
+        };
+
+        const { modifiedCount } = await Message.updateMany(
+            { ...thread, deletedFor: { $ne: userId } },
+            { $addToSet: { deletedFor: userId } }
+        );
+
+        const hiddenForBoth = { ...thread, deletedFor: { $all: [userId, otherUserId] } };
+        const withImages = await Message.find({ ...hiddenForBoth, image: { $nin: [null, ""] } }).select("image").lean();
+        await Promise.all(withImages.map((msg) => deleteFromCloudinary(msg.image)));
+        await Message.deleteMany(hiddenForBoth);
+        // the assistant forgets the deleted chat too
+        if (otherUserId === process.env.AI_ASSISTANT_ID) await resetAiMemory(userId);
+
+        //keep the user's other devices in sync
+        emitToUsers([userId], "conversationDeleted", { userId: otherUserId });
+
+        res.status(200).json({ success: true, message: "Conversation deleted", deletedCount: modifiedCount });
+    } catch (error) {
+        console.log("Delete conversation error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
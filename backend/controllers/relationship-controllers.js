@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+import { User } from "../models/user-model.js";
+import { emitToUsers, userSocketMap } from "../server.js";
+import { trackBlockList, untrackBlockList } from "../lib/blocks.js";
+import { broadcastPresence } from "../lib/presence.js";
+import { addContact as addToContacts } from "../lib/contacts.js";
+import { escapeRegex } from "../lib/util.js";
+
+const SEARCH_LIMIT = 20;
+const PUBLIC_USER_FIELDS = "fullName profilePic bio role";
+
+//add or remove :userId in blockedUsers or mutedUsers of the logged in user
+//sends the error response and returns null when the id is bad
+const updateUserList = async (req, res, field, add) => {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId) || userId === req.user._id.toString()) {
+        res.status(400).json({ success: false, message: "Invalid user id" });
+        return null;
+    }
+    if (add && !(await User.exists({ _id: userId }))) {
+        res.status(404).json({ success: false, message: "User not found" });
+        return null;
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        add ? { $addToSet: { [field]: userId } } : { $pull: { [field]: userId } },
+        { new: true }
+    ).select("blockedUsers mutedUsers").lean();
+
+    // the user's other devices update their lists too
+    emitToUsers([req.user._id], "relationsChanged", { blockedUsers: user.blockedUsers, mutedUsers: user.mutedUsers });
+    return user;
+}
+
+//presence is filtered with the block lists of connected users, refresh it after a change
+const refreshBlockList = (user) => {
+    const userId = user._id.toString();
+    if (userSocketMap.has(userId)) {
+        trackBlockList(userId, user.blockedUsers);
+    } else {
+        untrackBlockList(userId);
+    }
+    broadcastPresence();
+}
+
+//blocked users cannot message the blocker and do not see their presence
+export const blockUser = async (req, res) => {
+    try {
+        const user = await updateUserList(req, res, "blockedUsers", true);
+        if (!user) return;
+        refreshBlockList(user);
+        res.status(200).json({ success: true, message: "User blocked", blockedUsers: user.blockedUsers });
+    } catch (error) {
+        console.log("Block user error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+export const unblockUser = async (req, res) => {
+    try {
+        const user = await updateUserList(req, res, "blockedUsers", false);
+        if (!user) return;
+        refreshBlockList(user);
+        res.status(200).json({ success: true, message: "User unblocked", blockedUsers: user.blockedUsers });
+    } catch (error) {
+        console.log("Unblock user error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//msgs from muted users still arrive, the client skips notifications and unread badges for them
+export const muteUser = async (req, res) => {
+    try {
+        const user = await updateUserList(req, res, "mutedUsers", true);
+        if (!user) return;
+        res.status(200).json({ success: true, message: "Chat muted", mutedUsers: user.mutedUsers });
+    } catch (error) {
+        console.log("Mute user error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+export const unmuteUser = async (req, res) => {
+    try {
+        const user = await updateUserList(req, res, "mutedUsers", false);
+        if (!user) return;
+        res.status(200).json({ success: true, message: "Chat unmuted", mutedUsers: user.mutedUsers });
+    } catch (error) {
+        console.log("Unmute user error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//find people to add as contacts by name, or by their exact email
+//users who blocked the searcher and suspended users are left out
+export const searchUsers = async (req, res) => {
+    try {
+        const query = String(req.query.q || "").trim();
+        if (query.length < 2) {
+            return res.status(200).json({ success: true, users: [] });
+        }
+
+        const users = await User.find({
+            _id: { $nin: [req.user._id, process.env.AI_ASSISTANT_ID].filter(id => mongoose.isValidObjectId(id)) },
+            $or: [{ fullName: new RegExp(escapeRegex(query), "i") }, { email: new RegExp(`^${escapeRegex(query)}$`, "i") }],
+            blockedUsers: { $ne: req.user._id },
+            suspendedAt: null,
+        }).select(PUBLIC_USER_FIELDS).limit(SEARCH_LIMIT).lean();
+
+        const contacts = new Set((req.user.contacts || []).map(String));
+        res.status(200).json({ success: true, users: users.map(user => ({ ...user, isContact: contacts.has(String(user._id)) })) });
+    } catch (error) {
+        console.log("Search users error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//add a contact, accepting their message request if they sent one
+export const addContact = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId) || userId === req.user._id.toString()) {
+            return res.status(400).json({ success: false, message: "Invalid user id" });
+        }
+        const contact = await User.findById(userId).select(`${PUBLIC_USER_FIELDS} lastSeen blockedUsers`).lean();
+        if (!contact || (contact.blockedUsers || []).some(id => id.equals(req.user._id))) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+
+        await addToContacts(req.user._id, userId);
+        delete contact.blockedUsers;
+        res.status(200).json({ success: true, message: "Contact added", contact });
+    } catch (error) {
+        console.log("Add contact error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//their msgs stay, a new one from them shows up as a request again
+export const removeContact = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ success: false, message: "Invalid user id" });
+        }
+        await User.updateOne({ _id: req.user._id }, { $pull: { contacts: userId } });
+        res.status(200).json({ success: true, message: "Contact removed" });
+    } catch (error) {
+        console.log("Remove contact error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
@@ -0,0 +1,11 @@
+import { getSettings } from "../lib/settings.js";
+
+//the settings clients need up front (upload limits, ai availability), changes arrive with "settingsChanged"
+export const getAppSettings = async (req, res) => {
+    try {
+        res.status(200).json({ success: true, settings: await getSettings() });
+    } catch (error) {
+        console.log("Get settings error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
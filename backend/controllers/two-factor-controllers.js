@@ -0,0 +1,138 @@
+import bcrypt from "bcryptjs";
+import QRCode from "qrcode";
+import { User } from "../models/user-model.js";
+import { startSession } from "./auth-controllers.js";
+import { generateTotpSecret, totpUri, verifyTotp, generateBackupCodes } from "../lib/totp.js";
+import { hashToken, verifyChallengeToken } from "../lib/util.js";
+import { getLockoutSeconds, recordFailedLogin, clearFailedLogins, sendLockedResponse } from "../lib/lockout.js";
+
+const TWO_FACTOR_FIELDS = "+twoFactorSecret +twoFactorLastStep +twoFactorBackupCodes";
+
+//"A1B2-c3d4", "a1b2c3d4" and "a1b2 c3d4" are the same backup code
+const hashBackupCode = (code) => hashToken(String(code || "").toLowerCase().replace(/[^a-f0-9]/g, ""));
+
+//accept a totp code or an unused backup code, both can only be used once
+const checkSecondFactor = async (user, code) => {
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastStep ?? -1);
+    if (step !== null) {
+        const result = await User.updateOne(
+            { _id: user._id, $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }] },
+            { $set: { twoFactorLastStep: step } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    const codeHash = hashBackupCode(code);
+    const result = await User.updateOne({ _id: user._id, twoFactorBackupCodes: codeHash }, { $pull: { twoFactorBackupCodes: codeHash } });
+    return result.modifiedCount === 1;
+}
+
+//start enrollment: store a new secret and return it as otpauth uri and QR code
+export const setupTwoFactor = async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is already enabled" });
+        }
+        const secret = generateTotpSecret();
+        await User.updateOne({ _id: req.user._id }, { $set: { twoFactorSecret: secret } });
+
+        const otpauthUrl = totpUri(secret, req.user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+        res.status(200).json({ success: true, message: "Scan the QR code with your authenticator app", otpauthUrl, qrCode, secret });
+    } catch (error) {
+        console.log("2FA setup error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//finish enrollment with the first code from the app, the backup codes are only shown this once
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is already enabled" });
+        }
+        if (!user.twoFactorSecret) {
+            return res.status(400).json({ success: false, message: "Start the two-factor setup first" });
+        }
+
+        const step = verifyTotp(user.twoFactorSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ success: false, message: "Invalid authentication code" });
+        }
+
+        const backupCodes = generateBackupCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorLastStep = step;
+        user.twoFactorBackupCodes = backupCodes.map(hashBackupCode);
+        await user.save();
+
+        res.status(200).json({ success: true, message: "Two-factor authentication enabled", backupCodes });
+    } catch (error) {
+        console.log("2FA enable error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//turning 2fa off needs the password and a code
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { currentPassword, code } = req.body;
+        const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled" });
+        }
+        if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+            return res.status(400).json({ success: false, message: "Current password is incorrect" });
+        }
+        if (!(await checkSecondFactor(user, code))) {
+            return res.status(400).json({ success: false, message: "Invalid authentication code" });
+        }
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { twoFactorEnabled: false },
+            $unset: { twoFactorSecret: "", twoFactorLastStep: "", twoFactorBackupCodes: "" },
+        });
+        res.status(200).json({ success: true, message: "Two-factor authentication disabled" });
+    } catch (error) {
+        console.log("2FA disable error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
+
+//second login step: exchange the challenge token from login and a code for a session
+export const loginWithTwoFactor = async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        let challenge;
+        try {
+            challenge = verifyChallengeToken(challengeToken);
+        } catch (error) {
+            return res.status(401).json({ success: false, message: "Login expired, please sign in again" });
+        }
+
+        const user = await User.findById(challenge.id).select(`+lockedUntil ${TWO_FACTOR_FIELDS}`);
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(401).json({ success: false, message: "Login expired, please sign in again" });
+        }
+        const lockedFor = getLockoutSeconds(user);
+        if (lockedFor > 0) {
+            return sendLockedResponse(res, lockedFor);
+        }
+        if (!(await checkSecondFactor(user, code))) {
+            await recordFailedLogin(user._id);
+            return res.status(400).json({ success: false, message: "Invalid authentication code" });
+        }
+        if (user.suspendedAt) {
+            return res.status(403).json({ success: false, message: "Your account is suspended" });
+        }
+        await clearFailedLogins(user._id);
+
+        const userData = await User.findById(user._id);
+        const token = await startSession(req, res, user._id);
+        res.status(200).json({ success: true, message: "User logged in successfully", userData, token });
+    } catch (error) {
+        console.log("2FA login error:", error);
+        res.status(500).json({ success: false, message: "Internal server error" });
+    }
+}
@@ -1,6 +1,11 @@
 import { uploadOnCloudinary } from "../lib/cloudinary.js";
-import { generateToken } from "../lib/util.js";
-import { User } from "../models/user-model.js";
+import { startSession } from "./auth-controllers.js";
+import { generateChallengeToken, validatePassword, isValidEmail } from "../lib/util.js";
+import { getLockoutSeconds, recordFailedLogin, clearFailedLogins, sendLockedResponse } from "../lib/lockout.js";
+import { User, USER_STATUSES } from "../models/user-model.js";
+import { setUserStatus } from "../lib/presence.js";
+import { createAuthToken } from "../lib/auth-tokens.js";
+import { sendVerificationEmail } from "../lib/mailer.js";
 import bcrypt from "bcryptjs";
 
 //signup new user
@@ -10,6 +15,14 @@ export const signup = async (req, res) => {
         if (!fullName || !email || !password) {
             return res.status(400).json({ message: "All fields are required" });
         }
+        if (typeof email !== "string" || !isValidEmail(email)) {
+            return res.status(400).json({ message: "Enter a valid email" });
+        }
+        // same rules as a reset or changed password
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ message: passwordError });
+        }
         const user = await User.findOne({ email });
         if (user) {
             return res.status(400).json({ message: "User already exists" });
@@ -18,7 +31,12 @@ export const signup = async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, salt);
         const newUser = await User.create({ fullName, email, password: hashedPassword, profilePic, bio });
 
-        const token = generateToken(newUser._id);
+        // the account works right away, a failed mail can be resent from the profile page
+        createAuthToken(newUser._id, "verify-email")
+            .then((verifyToken) => sendVerificationEmail(newUser, verifyToken))
+            .catch((error) => console.log("Verification email error:", error.message));
+
+        const token = await startSession(req, res, newUser._id);
         res.status(201).json({ success: true, message: "User created successfully", userData: newUser, token });
     } catch (error) {
         console.log("Signup error:", error);
@@ -33,18 +51,36 @@ export const login = async (req, res) => {
         if (!email || !password) {
             return res.status(400).json({ message: "All fields are required" });
         }
-        const user = await User.findOne({ email }).select("+password");
+        const user = await User.findOne({ email }).select("+password +lockedUntil");
         if (!user) {
             return res.status(400).json({ message: "Invalid credentials" });
         }
+        const lockedFor = getLockoutSeconds(user);
+        if (lockedFor > 0) {
+            return sendLockedResponse(res, lockedFor);
+        }
         const isPasswordCorrect = await bcrypt.compare(password, user.password);
         if (!isPasswordCorrect) {
+            await recordFailedLogin(user._id);
             return res.status(400).json({ message: "Invalid credentials" });
         }
+        // only after the password, so an email alone does not tell whether the account is suspended
+        if (user.suspendedAt) {
+            return res.status(403).json({ message: "Your account is suspended" });
+        }
+
+        // the session only starts once the second factor is checked in /2fa/login
+        // failed codes there keep counting towards the lockout
+        if (user.twoFactorEnabled) {
+            const challengeToken = generateChallengeToken(user._id);
+            return res.status(200).json({ success: true, twoFactorRequired: true, message: "Enter your authentication code", challengeToken });
+        }
+
+        await clearFailedLogins(user._id);
 
         // Remove password before sending response
         const { password: _, ...userWithoutPassword } = user.toObject();
-        const token = generateToken(user._id);
+        const token = await startSession(req, res, user._id);
         res.status(200).json({ success: true, message: "User logged in successfully", userData: userWithoutPassword, token });
     } catch (error) {
         console.log("Login error:", error);
@@ -92,4 +128,20 @@ export const updateProfile = async (req, res) => {
 
 export const getUserProfile = async (req, res) => {
     res.status(200).json({ success: true, message: "User profile fetched successfully", user: req.user });
-}
\ No newline at end of file
+}
+
+//change the presence status picked by the user
+export const updateStatus = async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!USER_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${USER_STATUSES.join(", ")}` });
+        }
+        await User.updateOne({ _id: req.user._id }, { $set: { status } });
+        setUserStatus(req.user._id, status);
+        res.status(200).json({ success: true, message: "Status updated", status });
+    } catch (error) {
+        console.log("Update status error:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
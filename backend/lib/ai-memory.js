@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import { Message } from "../models/message-model.js";
+import { AiMemory } from "../models/ai-memory-model.js";
+import { AI_SYSTEM_PROMPT, completeChat } from "./ai.js";
+import { estimateTokens } from "./ai-providers.js";
+
+//rough token budget for the stored turns sent with every prompt
+export const AI_HISTORY_TOKEN_BUDGET = 3000;
+//once the unsummarized turns pass the budget, all but this much of the newest is rolled into the summary
+const AI_HISTORY_KEEP_TOKENS = AI_HISTORY_TOKEN_BUDGET / 2;
+const AI_HISTORY_MAX_MESSAGES = 200;
+
+const SUMMARY_PROMPT = "Summarize this conversation between a user and the AI assistant Alison in under 200 words. " +
+    "Keep facts about the user, their goals and any decisions or answers they may refer back to. Reply with the summary only.";
+
+const summarizing = new Set(); //userIds with a summary being written
+
+const aiAssistantId = () => new mongoose.Types.ObjectId(process.env.AI_ASSISTANT_ID);
+
+//stored turns with the assistant after the summary and the last reset, newest first
+const getRecentTurns = async (userId, memory) => {
+    const since = [memory?.contextStartAt, memory?.summarizedUntil].filter(Boolean);
+    const aiId = aiAssistantId();
+    const messages = await Message.find({
+        $or: [
+            { senderId: userId, receiverId: aiId },
+            { senderId: aiId, receiverId: userId }
+        ],
+        deletedFor: { $ne: userId },
+        deletedAt: { $exists: false },
+        text: { $nin: [null, ""] },
+        ...(since.length > 0 && { createdAt: { $gt: new Date(Math.max(...since)) } }),
+    }).sort({ createdAt: -1 }).limit(AI_HISTORY_MAX_MESSAGES).select("senderId text createdAt").lean();
+
+    return messages.map((msg) => ({
+        role: msg.senderId.equals(aiId) ? "assistant" : "user",
+        content: msg.text,
+        createdAt: msg.createdAt,
+    }));
+}
+
+//the prompt with the summary and as many recent turns as fit the budget
+export const buildAiContext = async (userId, prompt) => {
+    const memory = await AiMemory.findOne({ userId }).lean();
+    const turns = await getRecentTurns(userId, memory);
+
+    const history = [];
+    let tokens = 0;
+    for (const turn of turns) {
+        tokens += estimateTokens(turn.content);
+        if (tokens > AI_HISTORY_TOKEN_BUDGET) break;
+        history.unshift({ role: turn.role, content: turn.content });
+    }
+
+    const system = memory?.summary
+        ? `${AI_SYSTEM_PROMPT}\n\nSummary of the earlier conversation:\n${memory.summary}`
+        : AI_SYSTEM_PROMPT;
+    return [{ role: "system", content: system }, ...history, { role: "user", content: prompt }];
+}
+
+//fold the turns that no longer fit the budget into the running summary, call after an exchange is saved
+export const rollUpAiMemory = async (userId, model) => {
+    const key = String(userId);
+    if (summarizing.has(key)) return;
+    summarizing.add(key);
+    try {
+        const memory = await AiMemory.findOne({ userId }).lean();
+        const turns = await getRecentTurns(userId, memory);
+        const total = turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+        if (total <= AI_HISTORY_TOKEN_BUDGET) return;
+
+        // keep the newest turns as they are, summarize the rest
+        let kept = 0;
+        let splitAt = 0;
+        while (splitAt < turns.length && kept + estimateTokens(turns[splitAt].content) <= AI_HISTORY_KEEP_TOKENS) {
+            kept += estimateTokens(turns[splitAt].content);
+            splitAt++;
+        }
+        const older = turns.slice(splitAt).reverse();
+        if (older.length === 0) return;
+
+        const transcript = older.map((turn) => `${turn.role === "assistant" ? "Alison" : "User"}: ${turn.content}`).join("\n");
+        const summary = await completeChat({
+            userId,
+            kind: "summary",
+            model,
+            messages: [
+                { role: "system", content: SUMMARY_PROMPT },
+                { role: "user", content: memory?.summary ? `Earlier summary:\n${memory.summary}\n\nNew messages:\n${transcript}` : transcript }
+            ],
+        });
+        if (!summary) return;
+
+        await AiMemory.updateOne(
+            { userId },
+            { $set: { summary: summary.trim(), summarizedUntil: older[older.length - 1].createdAt } },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error("AI summary error:", error.message);
+    } finally {
+        summarizing.delete(key);
+    }
+}
+
+//start a fresh thread, the msgs stay but are no longer sent as context
+export const resetAiMemory = (userId) => AiMemory.findOneAndUpdate(
+    { userId },
+    { $set: { contextStartAt: new Date(), summary: "", summarizedUntil: null } },
+    { new: true, upsert: true }
+).lean();
@@ -0,0 +1,151 @@
+import Groq from "groq-sdk";
+
+//every provider has the same shape:
+//  name, configError (why it cannot be used, or null)
+//  listModels() -> ids of the models clients may ask for, the first one is the default
+//  chat({ model, messages, temperature, signal }) -> { content, usage }
+//  stream({ model, messages, temperature, signal }) -> async iterable of { delta } and one { usage } at the end
+//usage is { promptTokens, completionTokens }, AI_PROVIDER picks the provider and AI_MODELS can replace its model list
+
+const DEFAULT_MODELS = {
+    groq: ["llama-3.1-8b-instant", "llama-3.3-70b-versatile"],
+    openai: ["gpt-4o-mini", "gpt-4o"],
+    mock: ["mock-1"],
+};
+
+//about 4 characters per token for english text, close enough for budgets and for the mock
+export const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+
+const toUsage = (usage) => ({
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+});
+
+export const createGroqProvider = ({ apiKey = process.env.GROQ_API_KEY, models = DEFAULT_MODELS.groq } = {}) => {
+    const groq = apiKey ? new Groq({ apiKey }) : null;
+
+    return {
+        name: "groq",
+        configError: apiKey ? null : "GROQ_API_KEY not configured",
+        listModels: async () => models,
+        chat: async ({ model, messages, temperature = 0.3, signal }) => {
+            const response = await groq.chat.completions.create({ model, messages, temperature }, { signal });
+            return { content: response?.choices?.[0]?.message?.content || "", usage: toUsage(response?.usage) };
+        },
+        stream: async function* ({ model, messages, temperature = 0.3, signal }) {
+            const stream = await groq.chat.completions.create({ model, messages, temperature, stream: true }, { signal });
+            for await (const chunk of stream) {
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) yield { delta };
+                // groq sends the token counts with the last chunk
+                if (chunk.x_groq?.usage) yield { usage: toUsage(chunk.x_groq.usage) };
+            }
+        },
+    };
+}
+
+//any server with the OpenAI chat completions api: OpenAI itself, OpenRouter, Ollama, vLLM...
+export const createOpenAiProvider = ({
+    apiKey = process.env.OPENAI_API_KEY,
+    baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    models = DEFAULT_MODELS.openai,
+} = {}) => {
+    const post = async (body, signal) => {
+        const response = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+            body: JSON.stringify(body),
+            signal,
+        });
+        if (!response.ok) {
+            throw new Error(`AI provider responded with ${response.status}`);
+        }
+        return response;
+    }
+
+    return {
+        name: "openai",
+        // local servers usually need no key
+        configError: apiKey || process.env.OPENAI_BASE_URL ? null : "OPENAI_API_KEY not configured",
+        listModels: async () => models,
+        chat: async ({ model, messages, temperature = 0.3, signal }) => {
+            const data = await (await post({ model, messages, temperature }, signal)).json();
+            return { content: data?.choices?.[0]?.message?.content || "", usage: toUsage(data?.usage) };
+        },
+        stream: async function* ({ model, messages, temperature = 0.3, signal }) {
+            const response = await post({ model, messages, temperature, stream: true, stream_options: { include_usage: true } }, signal);
+            const decoder = new TextDecoder();
+            let buffer = "";
+            // server-sent events, one "data: {json}" line per chunk and "data: [DONE]" at the end
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split("\n");
+                buffer = lines.pop();
+                for (const line of lines) {
+                    if (!line.startsWith("data:")) continue;
+                    const data = line.slice(5).trim();
+                    if (data === "[DONE]") return;
+                    const chunk = JSON.parse(data);
+                    const delta = chunk.choices?.[0]?.delta?.content;
+                    if (delta) yield { delta };
+                    if (chunk.usage) yield { usage: toUsage(chunk.usage) };
+                }
+            }
+        },
+    };
+}
+
+//answers without any network, the same messages always get the same reply
+export const createMockProvider = ({ models = DEFAULT_MODELS.mock, delayMs = Number(process.env.MOCK_AI_DELAY_MS ?? 20) } = {}) => {
+    const reply = (messages) => {
+        const prompt = [...messages].reverse().find((msg) => msg.role === "user")?.content || "";
+        return `Mock reply to "${prompt}" with ${messages.length} messages of context.`;
+    }
+    const usage = (messages, content) => ({
+        promptTokens: messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0),
+        completionTokens: estimateTokens(content),
+    });
+
+    return {
+        name: "mock",
+        configError: null,
+        listModels: async () => models,
+        chat: async ({ messages }) => {
+            const content = reply(messages);
+            return { content, usage: usage(messages, content) };
+        },
+        stream: async function* ({ messages, signal }) {
+            const content = reply(messages);
+            for (const word of content.match(/\S+\s*/g)) {
+                if (signal?.aborted) return;
+                await new Promise((resolve) => setTimeout(resolve, delayMs));
+                yield { delta: word };
+            }
+            yield { usage: usage(messages, content) };
+        },
+    };
+}
+
+const PROVIDERS = {
+    groq: createGroqProvider,
+    openai: createOpenAiProvider,
+    mock: createMockProvider,
+};
+
+let provider = null;
+
+//the provider named by AI_PROVIDER (groq by default), created on first use so .env is loaded by then
+export const getAiProvider = () => {
+    if (!provider) {
+        const name = (process.env.AI_PROVIDER || "groq").toLowerCase();
+        const models = process.env.AI_MODELS ? process.env.AI_MODELS.split(",").map(model => model.trim()).filter(Boolean) : undefined;
+        provider = PROVIDERS[name]
+            ? PROVIDERS[name]({ models })
+            : { name, configError: `Unknown AI_PROVIDER "${name}"`, listModels: async () => [] };
+    }
+    return provider;
+}
+
+export const setAiProvider = (newProvider) => {
+    provider = newProvider;
+}
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { AiUsage } from "../models/ai-usage-model.js";
+import { User } from "../models/user-model.js";
+import { getSettings } from "./settings.js";
+import { estimateTokens } from "./ai-providers.js";
+
+//quota periods follow the UTC calendar
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const period = (used, limit, resetsAt) => ({ used, limit, remaining: limit ? Math.max(0, limit - used) : null, resetsAt });
+
+//tokens a user spent today and this month against the quota of their role, a limit of 0 has remaining null
+export const getAiQuota = async (userId) => {
+    const now = new Date();
+    const dayStart = startOfDay(now);
+    const monthStart = startOfMonth(now);
+    const [user, { aiQuotas }, [totals]] = await Promise.all([
+        User.findById(userId).select("role").lean(),
+        getSettings(),
+        AiUsage.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: monthStart } } },
+            {
+                $group: {
+                    _id: null,
+                    monthly: { $sum: "$totalTokens" },
+                    daily: { $sum: { $cond: [{ $gte: ["$createdAt", dayStart] }, "$totalTokens", 0] } },
+                }
+            },
+        ]),
+    ]);
+    const limits = aiQuotas[user?.role] || aiQuotas.user;
+
+    return {
+        daily: period(totals?.daily || 0, limits.daily, new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)),
+        monthly: period(totals?.monthly || 0, limits.monthly, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))),
+    };
+}
+
+//why the quota blocks the next request, or null
+export const getQuotaError = (quota) => {
+    if (quota.daily.remaining === 0) return "You reached your daily AI limit, it resets at midnight UTC";
+    if (quota.monthly.remaining === 0) return "You reached your monthly AI limit, it resets on the 1st";
+    return null;
+}
+
+//store what a request cost, counted from the text when the provider sent no token counts
+export const recordAiUsage = ({ userId, provider, model, kind = "chat", usage, messages, reply, startedAt, cancelled = false }) => {
+    const promptTokens = usage ? usage.promptTokens : messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    const completionTokens = usage ? usage.completionTokens : estimateTokens(reply);
+    return AiUsage.create({
+        userId,
+        provider,
+        model,
+        kind,
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        latencyMs: Date.now() - startedAt,
+        cancelled,
+    });
+}
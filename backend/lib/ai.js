@@ -0,0 +1,141 @@
+import { Message } from "../models/message-model.js";
+import { getSettings } from "./settings.js";
+import { RATE_LIMITS, hitBucket, rateLimitDisabled } from "./rate-limit.js";
+import { buildAiContext, rollUpAiMemory } from "./ai-memory.js";
+import { getAiProvider } from "./ai-providers.js";
+import { getAiQuota, getQuotaError, recordAiUsage } from "./ai-usage.js";
+
+//this is used for context so that AI knows who it is
+export const AI_SYSTEM_PROMPT = "You are a Alison A.I. created by Mr.AVC for assistance";
+
+const MAX_REQUEST_ID_LENGTH = 64;
+
+//msgs with the assistant are delivered and read right away
+export const saveAiMessage = (senderId, receiverId, text) => new Message({
+    senderId,
+    receiverId,
+    text,
+    deliveredAt: new Date(),
+    readAt: new Date()
+}).save();
+
+//the model to use: the requested one if the provider allows it (null if not),
+//otherwise the admin's default or the provider's first model
+export const resolveAiModel = async (requested) => {
+    const models = await getAiProvider().listModels();
+    if (requested) return models.includes(requested) ? requested : null;
+    const { defaultAiModel } = await getSettings();
+    return models.includes(defaultAiModel) ? defaultAiModel : models[0];
+}
+
+//a whole completion as text, for work done behind the scenes like summaries, counted as usage of userId
+export const completeChat = async ({ userId, kind, model, messages }) => {
+    const provider = getAiProvider();
+    const resolvedModel = await resolveAiModel(model);
+    const startedAt = Date.now();
+    const { content, usage } = await provider.chat({ model: resolvedModel, messages });
+    await recordAiUsage({ userId, provider: provider.name, model: resolvedModel, kind, usage, messages, reply: content, startedAt });
+    return content;
+}
+
+//the reason the AI cannot answer right now, or null when it can
+export const getAiUnavailableReason = async () => {
+    const { aiEnabled } = await getSettings();
+    if (!aiEnabled) return "AI service is currently disabled";
+    return getAiProvider().configError;
+}
+
+//stream a reply to "ai:ask" back to the asking socket:
+//ai:delta { requestId, delta } for every chunk, then ai:done { requestId, userMessage, aiMessage, cancelled, quota }
+//or ai:error { requestId, message, userMessage, quota }, the reply is saved once it is complete
+//"ai:cancel" { requestId } aborts the upstream request, the part streamed so far is kept
+export const registerAiHandlers = (socket) => {
+    const userId = socket.userId;
+    const streams = new Map(); //key: requestId value: AbortController of the running completion
+
+    socket.on("ai:ask", async ({ requestId, prompt, model } = {}) => {
+        if (typeof requestId !== "string" || !requestId || requestId.length > MAX_REQUEST_ID_LENGTH || streams.has(requestId)) return;
+        const fail = (message, userMessage = null, quota = null) => socket.emit("ai:error", { requestId, message, userMessage, quota });
+
+        const controller = new AbortController();
+        streams.set(requestId, controller);
+        let userMessage = null;
+        let resolvedModel = null;
+        let messages = null;
+        let startedAt = 0;
+        let usage = null; //token counts from the provider, cancelled streams end without them
+        let reply = "";
+        // a reply cancelled before the first chunk is not saved
+        const finish = async (cancelled) => {
+            const aiMessage = reply || !cancelled
+                ? await saveAiMessage(process.env.AI_ASSISTANT_ID, userId, reply || "Sorry, I couldn't generate a response.")
+                : null;
+            if (messages) {
+                await recordAiUsage({ userId, provider: getAiProvider().name, model: resolvedModel, usage, messages, reply, startedAt, cancelled });
+            }
+            socket.emit("ai:done", { requestId, userMessage, aiMessage, cancelled, quota: await getAiQuota(userId) });
+            rollUpAiMemory(userId, resolvedModel);
+        }
+        try {
+            if (typeof prompt !== "string" || prompt.trim().length === 0) {
+                return fail("prompt is required");
+            }
+            const unavailable = await getAiUnavailableReason();
+            if (unavailable) {
+                return fail(unavailable);
+            }
+            // same per user budget as POST /api/ai/chat
+            if (!rateLimitDisabled()) {
+                const { windowMs, user } = RATE_LIMITS.aiChat;
+                const retryAfter = await hitBucket(`aiChat:user:${userId}`, user, windowMs);
+                if (retryAfter > 0) {
+                    return fail(`Too many requests, try again in ${retryAfter}s`);
+                }
+            }
+
+            const quota = await getAiQuota(userId);
+            const quotaError = getQuotaError(quota);
+            if (quotaError) {
+                return fail(quotaError, null, quota);
+            }
+
+            resolvedModel = await resolveAiModel(model);
+            if (!resolvedModel) {
+                return fail("This AI model is not available");
+            }
+
+            // the history is read before the prompt is saved so it is not in there twice
+            messages = await buildAiContext(userId, prompt);
+            userMessage = await saveAiMessage(userId, process.env.AI_ASSISTANT_ID, prompt);
+            startedAt = Date.now();
+            const stream = getAiProvider().stream({ model: resolvedModel, messages, signal: controller.signal });
+
+            for await (const chunk of stream) {
+                if (chunk.usage) usage = chunk.usage;
+                if (chunk.delta) {
+                    reply += chunk.delta;
+                    socket.emit("ai:delta", { requestId, delta: chunk.delta });
+                }
+            }
+
+            await finish(controller.signal.aborted);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return finish(true).catch(() => fail("AI service unavailable", userMessage));
+            }
+            console.error("AI stream error:", error.message);
+            fail("AI service unavailable", userMessage);
+        } finally {
+            streams.delete(requestId);
+        }
+    });
+
+    socket.on("ai:cancel", ({ requestId } = {}) => {
+        streams.get(requestId)?.abort();
+    });
+
+    // nobody is left to read the reply
+    socket.on("disconnect", () => {
+        for (const controller of streams.values()) controller.abort();
+    });
+}
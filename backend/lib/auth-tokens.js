@@ -0,0 +1,30 @@
+import crypto from "crypto";
+import { AuthToken } from "../models/auth-token-model.js";
+import { hashToken } from "./util.js";
+
+//how long an emailed link stays valid
+const TOKEN_TTL_MS = {
+    "verify-email": 24 * 60 * 60 * 1000,
+    "reset-password": 60 * 60 * 1000,
+    "change-email": 24 * 60 * 60 * 1000,
+};
+
+//create a token for a user, older unused tokens with the same purpose stop working
+//fields are stored with the token, like the new address of an email change
+export const createAuthToken = async (userId, purpose, fields = {}) => {
+    const token = crypto.randomBytes(32).toString("hex");
+    await AuthToken.deleteMany({ userId, purpose, usedAt: null });
+    await AuthToken.create({ ...fields, userId, purpose, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]) });
+    return token;
+}
+
+//mark a token as used and return it, null when it is unknown, expired or already used
+export const consumeAuthToken = (token, purpose) => {
+    if (typeof token !== "string" || !token) return null;
+    const now = new Date();
+    return AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    );
+}
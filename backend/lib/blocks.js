@@ -0,0 +1,35 @@
+import { User } from "../models/user-model.js";
+
+//block lists of connected users, key: userId value: Set of blocked userIds
+//presence and typing only concern connected users, so these are enough to filter them
+const onlineBlockLists = new Map();
+
+export const trackBlockList = (userId, blockedUsers = []) => {
+    onlineBlockLists.set(String(userId), new Set(blockedUsers.map(String)));
+}
+
+export const untrackBlockList = (userId) => {
+    onlineBlockLists.delete(String(userId));
+}
+
+export const getOnlineBlockList = (userId) => [...(onlineBlockLists.get(String(userId)) || [])];
+
+//true when either connected user blocked the other
+export const isBlockedOnline = (userId, otherId) =>
+    Boolean(onlineBlockLists.get(String(userId))?.has(String(otherId)) || onlineBlockLists.get(String(otherId))?.has(String(userId)));
+
+//who must not see whom: key: blocked userId value: blockers among the given users
+export const getHiddenPresence = (userIds) => {
+    const hidden = new Map();
+    for (const blockerId of userIds) {
+        for (const blockedId of onlineBlockLists.get(blockerId) || []) {
+            if (!hidden.has(blockedId)) hidden.set(blockedId, []);
+            hidden.get(blockedId).push(blockerId);
+        }
+    }
+    return hidden;
+}
+
+//database check for http routes, either user may be offline
+export const isBlockedBetween = async (userId, otherId) =>
+    Boolean(await User.exists({ $or: [{ _id: userId, blockedUsers: otherId }, { _id: otherId, blockedUsers: userId }] }));
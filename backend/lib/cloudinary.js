@@ -32,6 +32,19 @@ export const uploadOnCloudinary = async (filePath) => {
     }
 }
 
+// Delete an uploaded asset using its delivery url
+export const deleteFromCloudinary = async (url) => {
+    try {
+        // https://res.cloudinary.com/<cloud>/image/upload/v123/<publicId>.<ext>
+        const match = String(url || "").match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i);
+        if (!match) return null;
+        return await cloudinary.uploader.destroy(match[1]);
+    } catch (error) {
+        console.error("Error deleting file from Cloudinary:", error);
+        return null;
+    }
+}
+
 // Helper function to safely delete files
 export const safeDeleteFile = (filePath) => {
     try {
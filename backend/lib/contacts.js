@@ -0,0 +1,29 @@
+import { User } from "../models/user-model.js";
+import { Message } from "../models/message-model.js";
+
+//add contactId to the contacts of userId, sending a direct msg makes the receiver a contact of the sender
+export const addContact = (userId, contactId) =>
+    User.updateOne({ _id: userId, contacts: { $ne: contactId } }, { $addToSet: { contacts: contactId } });
+
+//before contacts existed the sidebar listed everyone, keep everybody a user already talked to
+export const migrateLegacyContacts = async () => {
+    try {
+        if (!(await User.exists({ contacts: { $exists: false } }))) return;
+
+        const threads = await Message.aggregate([
+            { $match: { receiverId: { $exists: true, $ne: null } } },
+            { $project: { pairs: [["$senderId", "$receiverId"], ["$receiverId", "$senderId"]] } },
+            { $unwind: "$pairs" },
+            { $group: { _id: { $arrayElemAt: ["$pairs", 0] }, contacts: { $addToSet: { $arrayElemAt: ["$pairs", 1] } } } },
+        ]);
+        if (threads.length > 0) {
+            await User.collection.bulkWrite(threads.map(({ _id, contacts }) => ({
+                updateOne: { filter: { _id, contacts: { $exists: false } }, update: { $set: { contacts } } },
+            })));
+        }
+        await User.collection.updateMany({ contacts: { $exists: false } }, { $set: { contacts: [] } });
+        console.log("Added contacts from existing conversations");
+    } catch (error) {
+        console.error("Error migrating contacts:", error.message);
+    }
+}
@@ -0,0 +1,34 @@
+import { User } from "../models/user-model.js";
+
+// failed password or 2fa attempts in a row before the account is locked
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+//seconds until a locked account can login again, 0 when it is not locked
+//the user must be loaded with +lockedUntil
+export const getLockoutSeconds = (user) => {
+    const remaining = user.lockedUntil ? user.lockedUntil.getTime() - Date.now() : 0;
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+//count a failed attempt and lock the account once there are too many
+export const recordFailedLogin = async (userId) => {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { failedLoginAttempts: 1 } }, { new: true }).select("+failedLoginAttempts");
+    if (user && user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+        console.log("Account locked after failed logins:", String(userId));
+        await User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + LOCKOUT_MS) } });
+    }
+}
+
+export const clearFailedLogins = (userId) =>
+    User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+
+//429 answer for a locked account
+export const sendLockedResponse = (res, retryAfter) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: `Too many failed logins, try again in ${Math.ceil(retryAfter / 60)} min`,
+        retryAfter,
+    });
+}
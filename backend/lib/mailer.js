@@ -0,0 +1,92 @@
+import fs from "fs";
+import nodemailer from "nodemailer";
+import { clientOrigins } from "./util.js";
+
+let smtpTransporter;
+
+//a transport is an async function receiving { from, to, subject, text, html }
+const transports = {
+    // development: print the mail so links can be copied from the server log
+    console: async (mail) => {
+        console.log(`Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+    },
+    // development and tests: one JSON line per mail
+    file: async (mail) => {
+        const line = JSON.stringify({ ...mail, sentAt: new Date() }) + "\n";
+        await fs.promises.appendFile(process.env.MAIL_FILE || "mail.log", line);
+    },
+    smtp: async (mail) => {
+        smtpTransporter ??= nodemailer.createTransport(process.env.SMTP_URL);
+        await smtpTransporter.sendMail(mail);
+    },
+};
+
+//MAIL_TRANSPORT picks the transport, smtp when SMTP_URL is set and console otherwise
+let activeTransport = null;
+const getTransport = () => {
+    if (activeTransport) return activeTransport;
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_URL ? "smtp" : "console");
+    if (!transports[name]) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transports[name];
+}
+
+//replace the transport, e.g. with an in-memory one in tests
+export const setMailTransport = (transport) => {
+    activeTransport = transport;
+}
+
+export const sendMail = async ({ to, subject, text, html }) => {
+    const from = process.env.MAIL_FROM || "Chatspace <no-reply@chatspace.local>";
+    await getTransport()({ from, to, subject, text, html });
+}
+
+//link to a frontend page, CLIENT_URL can list several origins and the first one is used
+export const clientLink = (path, params = {}) => {
+    const url = new URL(path, clientOrigins()[0]);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+}
+
+export const sendVerificationEmail = (user, token) => {
+    const link = clientLink("/verify-email", { token });
+    return sendMail({
+        to: user.email,
+        subject: "Verify your Chatspace email",
+        text: `Hi ${user.fullName},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`,
+    });
+}
+
+export const sendPasswordResetEmail = (user, token) => {
+    const link = clientLink("/reset-password", { token });
+    return sendMail({
+        to: user.email,
+        subject: "Reset your Chatspace password",
+        text: `Hi ${user.fullName},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for it, ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Someone asked to reset your password. If it was you, open <a href="${link}">this link</a>.</p><p>The link expires in 1 hour. If you did not ask for it, ignore this email.</p>`,
+    });
+}
+
+//sent to the new address, the email only changes once this link is opened
+export const sendEmailChangeEmail = (user, newEmail, token) => {
+    const link = clientLink("/confirm-email", { token });
+    return sendMail({
+        to: newEmail,
+        subject: "Confirm your new Chatspace email",
+        text: `Hi ${user.fullName},\n\nConfirm ${newEmail} as your new Chatspace email by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Confirm ${escapeHtml(newEmail)} as your new Chatspace email by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`,
+    });
+}
+
+//sent to the account address after its password changed
+export const sendPasswordChangedEmail = (user) => sendMail({
+    to: user.email,
+    subject: "Your Chatspace password was changed",
+    text: `Hi ${user.fullName},\n\nYour password was just changed and your other devices were logged out. If this was not you, reset your password right away:\n${clientLink("/login")}`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Your password was just changed and your other devices were logged out. If this was not you, <a href="${clientLink("/login")}">reset your password</a> right away.</p>`,
+});
+
+const escapeHtml = (value = "") =>
+    String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
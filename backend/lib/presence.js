@@ -0,0 +1,82 @@
+import { User } from "../models/user-model.js";
+import { io, userSocketMap, emitToUsers, userRoom } from "../server.js";
+import { trackBlockList, untrackBlockList, getOnlineBlockList, getHiddenPresence } from "./blocks.js";
+
+//key: userId value: status chosen by the user, loaded when they connect
+const selectedStatus = new Map();
+
+//what other users see, null when the user must not appear at all
+const getVisibleStatus = (userId) => {
+    const status = selectedStatus.get(userId) || "online";
+    if (status === "invisible") return null;
+    if (status !== "online") return status;
+
+    // an online user whose every device went idle is shown as away
+    const sockets = [...(userSocketMap.get(userId) || [])].map((id) => io.sockets.sockets.get(id));
+    return sockets.every((socket) => socket?.data.idle) ? "away" : "online";
+}
+
+//presence of every visible online user, key: userId value: status
+export const getPresence = () => {
+    const presence = {};
+    for (const userId of userSocketMap.keys()) {
+        const status = getVisibleStatus(userId);
+        if (status) presence[userId] = status;
+    }
+    return presence;
+}
+
+//emit event to all connected users, users someone blocked get the presence without that someone
+export const broadcastPresence = () => {
+    const presence = getPresence();
+    const hidden = getHiddenPresence(Object.keys(presence));
+
+    io.except([...hidden.keys()].map(userRoom)).emit("getOnlineUsers", presence);
+    for (const [userId, blockers] of hidden) {
+        const visible = { ...presence };
+        blockers.forEach((blockerId) => delete visible[blockerId]);
+        io.to(userRoom(userId)).emit("getOnlineUsers", visible);
+    }
+}
+
+//change the status a user picked and tell everyone, including the user's other devices
+export const setUserStatus = (userId, status) => {
+    selectedStatus.set(String(userId), status);
+    emitToUsers([userId], "statusChanged", status);
+    broadcastPresence();
+}
+
+//called once the last connection of a user is gone
+//invisible users keep their previous lastSeen so going invisible hides activity
+export const markOffline = async (user) => {
+    const userId = user._id.toString();
+    const status = selectedStatus.get(userId);
+    const blockedUsers = getOnlineBlockList(userId);
+    selectedStatus.delete(userId);
+    untrackBlockList(userId);
+    if (status === "invisible") return;
+
+    try {
+        const lastSeen = new Date();
+        await User.updateOne({ _id: userId }, { $set: { lastSeen } });
+        io.except(blockedUsers.map(userRoom)).emit("userLastSeen", { userId, lastSeen });
+    } catch (error) {
+        console.error("Error saving last seen:", error.message);
+    }
+}
+
+//clients report inactivity with presence:idle so the user can turn away automatically
+export const registerPresenceHandlers = (socket) => {
+    const userId = socket.userId;
+    // the first connection loads the stored status, later ones share it
+    if (userSocketMap.get(userId)?.size === 1) {
+        selectedStatus.set(userId, socket.user.status || "online");
+        trackBlockList(userId, socket.user.blockedUsers);
+    }
+
+    socket.on("presence:idle", (idle) => {
+        if (socket.data.idle === Boolean(idle)) return;
+        socket.data.idle = Boolean(idle);
+        broadcastPresence();
+    });
+}
@@ -0,0 +1,92 @@
+//limits per route, counted per IP and, once the user is known, per user
+//every hit inside windowMs counts, the counters reset when the window ends
+export const RATE_LIMITS = {
+    login: { windowMs: 15 * 60 * 1000, ip: 20 },
+    signup: { windowMs: 60 * 60 * 1000, ip: 5 },
+    passwordReset: { windowMs: 60 * 60 * 1000, ip: 5 },
+    sendMessage: { windowMs: 60 * 1000, ip: 120, user: 60 },
+    aiChat: { windowMs: 60 * 1000, ip: 30, user: 10 },
+    // per socket event name, events not listed here are never dropped
+    // receipt acks come one per msg, so a client catching up on a busy chat needs far more of them
+    socket: {
+        windowMs: 10 * 1000,
+        events: {
+            "ai:ask": 10,
+            "ai:cancel": 30,
+            "typing:start": 30,
+            "typing:stop": 30,
+            "presence:idle": 30,
+            "message:delivered": 600,
+        },
+    },
+};
+
+//default store, counters live in this process only
+//a shared store (e.g. redis) only needs the same async increment(key, windowMs) -> { count, resetAt }
+export const createMemoryStore = () => {
+    const buckets = new Map(); //key: bucket name value: { count, resetAt }
+
+    // drop finished windows so idle IPs do not pile up
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.resetAt <= now) buckets.delete(key);
+        }
+    }, 60 * 1000);
+    sweep.unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+            if (!bucket || bucket.resetAt <= now) {
+                bucket = { count: 0, resetAt: now + windowMs };
+                buckets.set(key, bucket);
+            }
+            bucket.count += 1;
+            return { count: bucket.count, resetAt: bucket.resetAt };
+        },
+    };
+}
+
+let store = createMemoryStore();
+
+export const setRateLimitStore = (newStore) => {
+    store = newStore;
+}
+
+export const rateLimitDisabled = () => process.env.RATE_LIMIT_DISABLED === "true";
+
+//count a hit on a bucket, returns the seconds to wait when it is over the limit and 0 otherwise
+export const hitBucket = async (key, max, windowMs) => {
+    const { count, resetAt } = await store.increment(key, windowMs);
+    return count > max ? Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)) : 0;
+}
+
+//drop socket events over the limit, the client is told with "rateLimited"
+export const registerSocketRateLimit = (socket) => {
+    const { windowMs, events } = RATE_LIMITS.socket;
+
+    socket.use(async ([event], next) => {
+        try {
+            const max = Object.hasOwn(events, event) ? events[event] : 0;
+            if (rateLimitDisabled() || !max) return next();
+            const retryAfter = await hitBucket(`socket:${socket.userId}:${event}`, max, windowMs);
+            if (retryAfter > 0) {
+                socket.emit("rateLimited", { event, retryAfter });
+                return next(new Error("Rate limit exceeded"));
+            }
+            next();
+        } catch (error) {
+            console.error("Socket rate limit error:", error.message);
+            next();
+        }
+    });
+
+    // rejected events end up here, without a listener the error would be thrown
+    socket.on("error", (error) => {
+        if (error.message !== "Rate limit exceeded") {
+            console.error("Socket error:", error.message);
+        }
+    });
+}
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import { Message } from "../models/message-model.js";
+import { emitToUsers } from "../server.js";
+
+// receipts only exist for direct msgs, a group msg has no single receiver
+
+//tell each sender which of their msgs changed state
+const notifySenders = (messages, event, fields) => {
+    const bySender = new Map();
+    messages.forEach((msg) => {
+        const senderId = String(msg.senderId);
+        bySender.set(senderId, [...(bySender.get(senderId) || []), msg._id]);
+    });
+    bySender.forEach((messageIds, senderId) => {
+        emitToUsers([senderId], event, { messageIds, ...fields });
+    });
+}
+
+//mark msgs addressed to a receiver as delivered
+export const markDelivered = async (receiverId, filter = {}) => {
+    const pending = await Message
+        .find({ ...filter, receiverId, deliveredAt: null })
+        .select("_id senderId")
+        .lean();
+    if (pending.length === 0) return;
+
+    const deliveredAt = new Date();
+    await Message.updateMany({ _id: { $in: pending.map((msg) => msg._id) } }, { $set: { deliveredAt } });
+    notifySenders(pending, "messageDelivered", { deliveredAt });
+}
+
+//mark msgs addressed to a receiver as read, a read msg is always delivered too
+export const markRead = async (receiverId, filter = {}) => {
+    const unread = await Message
+        .find({ ...filter, receiverId, readAt: null })
+        .select("_id senderId")
+        .lean();
+    if (unread.length === 0) return;
+
+    const readAt = new Date();
+    await Message.updateMany({ _id: { $in: unread.map((msg) => msg._id) } }, [
+        { $set: { readAt, deliveredAt: { $ifNull: ["$deliveredAt", readAt] } } }
+    ]);
+    notifySenders(unread, "messageRead", { readAt });
+}
+
+//receivers acknowledge msgs they got over the socket with message:delivered
+export const registerReceiptHandlers = (socket) => {
+    const userId = socket.userId;
+
+    // msgs sent while the user was offline reach them on this connection
+    markDelivered(userId).catch((error) => console.error("Delivery sync error:", error.message));
+
+    socket.on("message:delivered", async ({ messageIds } = {}) => {
+        try {
+            if (!Array.isArray(messageIds)) return;
+            const ids = messageIds.filter((id) => mongoose.isValidObjectId(id));
+            await markDelivered(userId, { _id: { $in: ids } });
+        } catch (error) {
+            console.error("Message delivered error:", error.message);
+        }
+    });
+}
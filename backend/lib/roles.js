@@ -0,0 +1,18 @@
+import { User, USER_ROLES } from "../models/user-model.js";
+
+//roles are ordered, a higher role can do everything a lower one can
+export const hasRole = (user, role) => USER_ROLES.indexOf(user?.role || "user") >= USER_ROLES.indexOf(role);
+
+//deployments from before roles existed named their admin with ADMIN_ID, promote that account once
+export const migrateLegacyAdmin = async () => {
+    try {
+        const adminId = process.env.ADMIN_ID;
+        if (!adminId) return;
+        const result = await User.updateOne({ _id: adminId, role: { $ne: "admin" } }, { $set: { role: "admin" } });
+        if (result.modifiedCount) {
+            console.log("Promoted ADMIN_ID user to the admin role");
+        }
+    } catch (error) {
+        console.error("Error migrating ADMIN_ID:", error.message);
+    }
+}
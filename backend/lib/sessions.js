@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { Session } from "../models/session-model.js";
+import { RefreshToken } from "../models/refresh-token-model.js";
+import { io, userSocketMap } from "../server.js";
+
+const BROWSERS = [["Edge", /Edg\//], ["Opera", /OPR\//], ["Chrome", /Chrome\//], ["Firefox", /Firefox\//], ["Safari", /Safari\//]];
+const SYSTEMS = [["Android", /Android/], ["iOS", /iPhone|iPad/], ["Windows", /Windows/], ["macOS", /Mac OS X/], ["Linux", /Linux/]];
+
+//readable device name like "Chrome on Windows" from a user-agent header
+export const describeDevice = (userAgent = "") => {
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    if (!browser && !system) return "Unknown device";
+    return system ? `${browser || "Browser"} on ${system}` : browser;
+}
+
+//the session if it belongs to the user and was not revoked, refresh tokens from before sessions existed have no valid id
+export const findActiveSession = (sessionId, userId) => {
+    if (!mongoose.isValidObjectId(sessionId)) return null;
+    return Session.findOne({ _id: sessionId, userId, revokedAt: null });
+}
+
+//disconnect the sockets opened with these sessions, the client is told why first
+export const disconnectSessionSockets = (userId, sessionIds) => {
+    const ids = new Set(sessionIds.map(String));
+    for (const socketId of userSocketMap.get(String(userId)) || []) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket && ids.has(socket.data.sessionId)) {
+            socket.emit("sessionRevoked");
+            socket.disconnect(true);
+        }
+    }
+}
+
+//end the matching sessions of a user: access tokens, refresh tokens and sockets of them stop working
+//returns the ids of the sessions that were revoked
+export const revokeSessions = async (userId, filter = {}) => {
+    const sessions = await Session.find({ ...filter, userId, revokedAt: null }).select("_id").lean();
+    const sessionIds = sessions.map((session) => session._id);
+    if (sessionIds.length === 0) return sessionIds;
+
+    const revokedAt = new Date();
+    await Session.updateMany({ _id: { $in: sessionIds } }, { $set: { revokedAt } });
+    await RefreshToken.updateMany({ family: { $in: sessionIds.map(String) }, revokedAt: null }, { $set: { revokedAt } });
+    disconnectSessionSockets(userId, sessionIds);
+    return sessionIds;
+}
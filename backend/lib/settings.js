@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import { Settings, SETTINGS_ID } from "../models/settings-model.js";
+import { User } from "../models/user-model.js";
+import { io } from "../server.js";
+
+//every instance caches the settings this long, so a change made on another instance shows up after at most the ttl
+export const SETTINGS_CACHE_TTL_MS = 15 * 1000;
+export const SETTINGS_FIELDS = ["aiEnabled", "uploadsEnabled", "maxUploadSize", "allowedMimeTypes", "defaultAiModel", "aiQuotas"];
+
+let cached = null;
+let cachedAt = 0;
+let loading = null; //pending read, concurrent callers share it
+
+const pickSettings = (doc) => Object.fromEntries(SETTINGS_FIELDS.map(field => [field, doc[field]]));
+
+//the stored settings, or the schema defaults until an admin saves some
+export const getSettings = async () => {
+    if (cached && Date.now() - cachedAt < SETTINGS_CACHE_TTL_MS) return cached;
+
+    if (!loading) {
+        // not lean, so fields added after the document was saved get their defaults
+        loading = Settings.findById(SETTINGS_ID)
+            .then((doc) => {
+                cached = pickSettings((doc || new Settings()).toObject());
+                cachedAt = Date.now();
+                return cached;
+            })
+            .finally(() => {
+                loading = null;
+            });
+    }
+    return loading;
+}
+
+//save some of the settings and tell every client, throws a ValidationError for bad values
+export const updateSettings = async (changes) => {
+    const previous = await getSettings();
+    const doc = await Settings.findByIdAndUpdate(SETTINGS_ID, { $set: changes }, { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true });
+
+    cached = pickSettings(doc.toObject());
+    cachedAt = Date.now();
+
+    try {
+        io.emit("settingsChanged", cached);
+        if (previous.aiEnabled !== cached.aiEnabled) {
+            io.emit("aiStatusChanged", cached.aiEnabled);
+        }
+    } catch (error) {
+        console.error("Socket settings error:", error);
+    }
+    return cached;
+}
+
+//the flags used to live on special users (enabled on the AI assistant, uploadsEnabled on the admin), move them once
+export const migrateLegacySettings = async () => {
+    try {
+        if (await Settings.exists({ _id: SETTINGS_ID })) return;
+
+        const aiId = mongoose.isValidObjectId(process.env.AI_ASSISTANT_ID) ? new mongoose.Types.ObjectId(process.env.AI_ASSISTANT_ID) : null;
+        const [aiAssistant, legacyAdmin] = await Promise.all([
+            aiId && User.collection.findOne({ _id: aiId, enabled: { $type: "bool" } }),
+            User.collection.findOne({ role: "admin", uploadsEnabled: { $type: "bool" } }, { sort: { _id: 1 } }),
+        ]);
+        if (!aiAssistant && !legacyAdmin) return;
+
+        const changes = {};
+        if (aiAssistant) changes.aiEnabled = aiAssistant.enabled;
+        if (legacyAdmin) changes.uploadsEnabled = legacyAdmin.uploadsEnabled;
+        await Settings.create({ _id: SETTINGS_ID, ...changes });
+        await User.collection.updateMany({ $or: [{ enabled: { $exists: true } }, { uploadsEnabled: { $exists: true } }] }, { $unset: { enabled: "", uploadsEnabled: "" } });
+        console.log("Moved the AI and upload flags into settings");
+    } catch (error) {
+        console.error("Error migrating settings:", error.message);
+    }
+}
@@ -0,0 +1,67 @@
+import { Conversation } from "../models/conversation-model.js";
+import { emitToUsers } from "../server.js";
+import { isBlockedOnline } from "./blocks.js";
+
+// a "typing" state clears itself if the client never sends typing:stop
+const TYPING_TIMEOUT_MS = 5000;
+
+//key: "<userId>:<chatId>" value: timeout that emits typing:stop
+const typingTimers = new Map();
+
+//peers who should see the indicator: the other user of a direct chat, or the other group members
+const getTypingPeers = async (userId, { to, conversationId } = {}) => {
+    if (conversationId) {
+        const conversation = await Conversation.findOne({ _id: conversationId, members: userId }).select("members").lean();
+        return conversation ? conversation.members.filter((id) => String(id) !== userId) : [];
+    }
+    return to && to !== userId && !isBlockedOnline(userId, to) ? [to] : [];
+}
+
+const stopTyping = (userId, chatId, peers, payload) => {
+    const key = `${userId}:${chatId}`;
+    clearTimeout(typingTimers.get(key)?.timer);
+    typingTimers.delete(key);
+    emitToUsers(peers, "typing:stop", payload);
+}
+
+//relay typing:start/typing:stop from a socket to its conversation peers only
+export const registerTypingHandlers = (socket) => {
+    const userId = socket.userId;
+
+    socket.on("typing:start", async (target) => {
+        try {
+            const peers = await getTypingPeers(userId, target);
+            if (peers.length === 0) return;
+            const chatId = target.conversationId || target.to;
+            const payload = { from: userId, conversationId: target.conversationId || null };
+            const key = `${userId}:${chatId}`;
+
+            clearTimeout(typingTimers.get(key)?.timer);
+            typingTimers.set(key, {
+                peers,
+                payload,
+                timer: setTimeout(() => stopTyping(userId, chatId, peers, payload), TYPING_TIMEOUT_MS),
+            });
+            emitToUsers(peers, "typing:start", payload);
+        } catch (error) {
+            console.error("Typing start error:", error.message);
+        }
+    });
+
+    socket.on("typing:stop", (target = {}) => {
+        const chatId = target.conversationId || target.to;
+        const entry = typingTimers.get(`${userId}:${chatId}`);
+        if (entry) {
+            stopTyping(userId, chatId, entry.peers, entry.payload);
+        }
+    });
+
+    // clear every indicator of this user when the socket goes away
+    socket.on("disconnect", () => {
+        for (const [key, entry] of typingTimers) {
+            if (key.startsWith(`${userId}:`)) {
+                stopTyping(userId, key.slice(userId.length + 1), entry.peers, entry.payload);
+            }
+        }
+    });
+}
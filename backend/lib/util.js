@@ -1,11 +1,79 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
-export const generateToken = (id) => {
-    const token = jwt.sign({id}, process.env.JWT_SECRET_KEY, {expiresIn: process.env.ACCESS_TOKEN_EXPIRY||"1d"});
+//refresh tokens can use their own secret so they never pass as access tokens
+const refreshSecret = () => process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET_KEY;
+
+export const REFRESH_COOKIE = "refreshToken";
+
+//sid ties the access token to a session so it stops working once the session is revoked
+export const generateToken = (id, sessionId) => {
+    const token = jwt.sign({id, sid: String(sessionId)}, process.env.JWT_SECRET_KEY, {expiresIn: process.env.ACCESS_TOKEN_EXPIRY||"15m"});
+    return token;
+}
+
+//family groups every token rotated from the same login, jti keeps each token unique
+export const generateRefreshToken = (id, family) => {
+    const token = jwt.sign({id, family, type: "refresh", jti: crypto.randomUUID()}, refreshSecret(), {expiresIn: process.env.REFRESH_TOKEN_EXPIRY||"10d"});
     return token;
 }
 
-export const generateRefreshToken = (id) => {
-    const token = jwt.sign({id}, process.env.JWT_SECRET_KEY, {expiresIn: process.env.REFRESH_TOKEN_EXPIRY||"10d"});
+export const verifyRefreshToken = (token) => {
+    const decoded = jwt.verify(token, refreshSecret());
+    if (decoded.type !== "refresh") {
+        throw new jwt.JsonWebTokenError("Not a refresh token");
+    }
+    return decoded;
+}
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+const COMMON_PASSWORDS = ["password", "password1", "12345678", "123456789", "qwerty123", "iloveyou", "chatspace"];
+
+//error message for a password that is too weak, null when it is fine
+export const validatePassword = (password) => {
+    if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+    }
+    if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+        return "Password must contain letters and numbers";
+    }
+    if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+        return "This password is too common";
+    }
+    return null;
+}
+
+//proves the password was correct while the second factor is still missing
+export const generateChallengeToken = (id) => {
+    const token = jwt.sign({id, type: "2fa"}, process.env.JWT_SECRET_KEY, {expiresIn: "5m"});
     return token;
 }
+
+export const verifyChallengeToken = (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    if (decoded.type !== "2fa") {
+        throw new jwt.JsonWebTokenError("Not a challenge token");
+    }
+    return decoded;
+}
+
+//tokens are stored hashed so a database leak does not leak usable tokens
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+//cross-site in production (separate frontend/backend domains), same-site in development
+export const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+    path: "/api/auth",
+});
+
+//a plain address check, the confirmation link proves the mailbox exists
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+//frontend origins allowed to call the api with cookies, without CLIENT_URL only the local dev server is
+export const clientOrigins = () => (process.env.CLIENT_URL || "http://localhost:5173").split(",").map((origin) => origin.trim());
+
+//user input used inside a RegExp matches literally
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -1,25 +1,35 @@
 import jwt from "jsonwebtoken";
 import { User } from "../models/user-model.js";
+import { findActiveSession } from "../lib/sessions.js";
+import { hasRole } from "../lib/roles.js";
 
 export const verifyToken = async (req, res, next) => {
     try {
         const authHeader = req.headers?.authorization;
-        const token = authHeader.split(" ")[1];
+        const token = authHeader?.split(" ")[1];
         if (!token) {
             // console.log("Auth error: No token in authorization header");
             return res.status(401).json({ message: "Unauthorized - No token provided" });
         }
         const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
-        if (!decoded) {
+        // only access tokens are untyped, refresh and 2fa challenge tokens have their own routes
+        if (!decoded || decoded.type) {
             console.log("Auth error: Token verification failed");
             return res.status(401).json({ message: "Unauthorized - Invalid token" });
         }
-        const user = await User.findById(decoded.id);
+        const [user, session] = await Promise.all([User.findById(decoded.id), findActiveSession(decoded.sid, decoded.id)]);
         if (!user) {
             console.log("Auth error: User not found for token:", decoded.id);
             return res.status(401).json({ message: "Unauthorized - User not found" });
         }
+        if (!session) {
+            return res.status(401).json({ message: "Unauthorized - Session revoked" });
+        }
+        if (user.suspendedAt) {
+            return res.status(403).json({ message: "Account suspended" });
+        }
         req.user = user;
+        req.sessionId = String(session._id);
         next();
     } catch (error) {
         console.log("Auth error:", error.message);
@@ -46,24 +56,42 @@ export const verifySocket = async (socket, next) => {
 
         // Verify JWT token
         const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
-        if (!decoded) {
+        if (!decoded || decoded.type) {
             console.log("Socket connection rejected: Invalid token");
             return next(new Error("Authentication error: Invalid token"));
         }
 
-        // Get user from database
-        const user = await User.findById(decoded.id);
+        // Get user and session from database
+        const [user, session] = await Promise.all([User.findById(decoded.id), findActiveSession(decoded.sid, decoded.id)]);
         if (!user) {
             console.log("Socket connection rejected: User not found");
             return next(new Error("Authentication error: User not found"));
         }
+        if (!session) {
+            console.log("Socket connection rejected: Session revoked");
+            return next(new Error("Authentication error: Session revoked"));
+        }
+        if (user.suspendedAt) {
+            console.log("Socket connection rejected: Account suspended");
+            return next(new Error("Account suspended"));
+        }
 
         socket.userId = user._id.toString();
         socket.user = user;
+        // revoking the session disconnects this socket
+        socket.data.sessionId = String(session._id);
         console.log(`Socket authenticated for user: ${user.fullName} (${user._id})`);
         next();
     } catch (error) {
         console.log("Socket authentication error:", error.message);
         next(new Error("Authentication error: " + error.message));
     }
-}
\ No newline at end of file
+}
+
+//use after verifyToken, lets through users with the given role or a higher one
+export const requireRole = (role) => (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+        return res.status(403).json({ success: false, message: `${role[0].toUpperCase()}${role.slice(1)} access required` });
+    }
+    next();
+}
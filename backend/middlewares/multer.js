@@ -1,7 +1,8 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { User } from '../models/user-model.js';
+import { getSettings } from '../lib/settings.js';
+import { MAX_UPLOAD_SIZE_LIMIT } from '../models/settings-model.js';
 import os from 'os';
 
 // Use serverless-safe temp directory
@@ -24,38 +25,50 @@ const storage = multer.diskStorage({
 // File filter function
 const fileFilter = (req, file, cb) => {
     if(req.uploadsEnabled === false) {
-        return cb(new Error('Image uploads are disabled by AVC'), false);
+        const error = new Error('Image uploads are disabled by admin');
+        error.status = 403;
+        return cb(error, false);
     }
-    // Check if file is an image
-    if (file.mimetype.startsWith('image/')) {
-        cb(null, true);
-    } else {
+    // Check if file is one of the allowed image types
+    const allowedMimeTypes = req.uploadSettings?.allowedMimeTypes;
+    if (!file.mimetype.startsWith('image/')) {
         cb(new Error('Only image files are allowed!'), false);
+    } else if (allowedMimeTypes && !allowedMimeTypes.includes(file.mimetype)) {
+        cb(new Error(`Allowed image types: ${allowedMimeTypes.join(', ')}`), false);
+    } else {
+        cb(null, true);
     }
 };
 
-// Configure multer
-const upload = multer({
-    storage,
-    fileFilter,
-    limits: {
-        fileSize: 5 * 1024 * 1024, // 5MB limit
-    }
-});
+const formatSize = (bytes) => bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.round(bytes / 1024)}KB`;
+
+// Configure multer per request, the size limit comes from the settings read by checkUploadEnabled
+const upload = {
+    single: (fieldName) => (req, res, next) => {
+        const maxUploadSize = req.uploadSettings?.maxUploadSize || MAX_UPLOAD_SIZE_LIMIT;
+        const handler = multer({
+            storage,
+            fileFilter,
+            limits: {
+                fileSize: maxUploadSize,
+            }
+        }).single(fieldName);
+
+        handler(req, res, (error) => {
+            if (!error) return next();
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Images must be ${formatSize(maxUploadSize)} or smaller`
+                : error.message;
+            res.status(error.status || 400).json({ success: false, message });
+        });
+    },
+};
 
+// text-only requests still go through when uploads are off, fileFilter rejects the actual files
 export async function checkUploadEnabled(req, res, next) {
     try {
-        const adminId = process.env.ADMIN_ID;
-        if (!adminId) {
-            req.uploadsEnabled = false;
-            return next();
-        }
-        const adminUser = await User.findById(adminId).select('uploadsEnabled').lean();
-        req.uploadsEnabled = adminUser ? adminUser.uploadsEnabled : false;
-        if (!req.uploadsEnabled) {
-            console.log("Uploads are disabled by admin");
-            return res.status(403).json({ success: false, message: "Image uploads are disabled by admin" });
-        }
+        req.uploadSettings = await getSettings();
+        req.uploadsEnabled = req.uploadSettings.uploadsEnabled;
         next();
     } catch (error) {
         console.error("Error checking upload status:", error);
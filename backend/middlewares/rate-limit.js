@@ -0,0 +1,27 @@
+import { RATE_LIMITS, hitBucket, rateLimitDisabled } from "../lib/rate-limit.js";
+
+//limit a route with the named entry of RATE_LIMITS, use after verifyToken to also count per user
+export const rateLimit = (name) => {
+    const { windowMs, ip, user } = RATE_LIMITS[name];
+
+    return async (req, res, next) => {
+        try {
+            if (rateLimitDisabled()) return next();
+
+            const hits = [];
+            if (ip) hits.push(hitBucket(`${name}:ip:${req.ip}`, ip, windowMs));
+            if (user && req.user) hits.push(hitBucket(`${name}:user:${req.user._id}`, user, windowMs));
+            const retryAfter = Math.max(0, ...(await Promise.all(hits)));
+
+            if (retryAfter > 0) {
+                res.set("Retry-After", String(retryAfter));
+                return res.status(429).json({ success: false, message: `Too many requests, try again in ${retryAfter}s`, retryAfter });
+            }
+            next();
+        } catch (error) {
+            // a broken store must not take the API down with it
+            console.log("Rate limit error:", error.message);
+            next();
+        }
+    }
+}
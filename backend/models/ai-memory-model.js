@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+//what the AI assistant remembers of its chat with a user, one document per user
+const AiMemorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        unique: true,
+    },
+    //msgs before this are left out of the context, set by "reset context"
+    contextStartAt: {
+        type: Date,
+        default: null,
+    },
+    //running summary of the older turns that no longer fit the token budget
+    summary: {
+        type: String,
+        default: "",
+    },
+    //createdAt of the newest msg rolled into the summary
+    summarizedUntil: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true })
+
+export const AiMemory = mongoose.model("AiMemory", AiMemorySchema)
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+//one document per request to the AI provider, quotas and the admin summary add these up
+const AiUsageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    provider: {
+        type: String,
+        required: true,
+    },
+    model: {
+        type: String,
+        required: true,
+    },
+    //chat for replies, summary for the memory roll up, summarize for chat summaries
+    kind: {
+        type: String,
+        default: "chat",
+    },
+    promptTokens: {
+        type: Number,
+        default: 0,
+    },
+    completionTokens: {
+        type: Number,
+        default: 0,
+    },
+    totalTokens: {
+        type: Number,
+        default: 0,
+    },
+    //from sending the request to the last token
+    latencyMs: {
+        type: Number,
+        default: 0,
+    },
+    cancelled: {
+        type: Boolean,
+        default: false,
+    },
+}, { timestamps: true })
+
+//quotas sum a user's tokens since the start of the day or month
+AiUsageSchema.index({ userId: 1, createdAt: -1 });
+AiUsageSchema.index({ createdAt: -1 });
+
+export const AiUsage = mongoose.model("AiUsage", AiUsageSchema)
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+export const AUTH_TOKEN_PURPOSES = ["verify-email", "reset-password", "change-email"];
+
+//single-use tokens sent by email, only their hash is stored
+const AuthTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    purpose: {
+        type: String,
+        enum: AUTH_TOKEN_PURPOSES,
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    //new address waiting for confirmation, only for change-email
+    email: {
+        type: String,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true })
+
+AuthTokenSchema.index({ userId: 1, purpose: 1 });
+//expired tokens are removed by mongodb
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthToken = mongoose.model("AuthToken", AuthTokenSchema)
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const ConversationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    avatar: {
+        type: String,
+        default: "",
+    },
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    }],
+    admins: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+}, { timestamps: true })
+
+ConversationSchema.index({ members: 1 });
+
+export const Conversation = mongoose.model("Conversation", ConversationSchema)
@@ -9,7 +9,12 @@ const MessageSchema = new mongoose.Schema({
     receiverId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
-        required: true,
+        //direct msgs have a receiver, group msgs are addressed to a conversation instead
+        required: function () { return !this.conversationId; },
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Conversation",
     },
     image: {
         type: String,
@@ -17,10 +22,37 @@ const MessageSchema = new mongoose.Schema({
     text: {
         type: String,
     },
-    seen: {
-        type: Boolean,
-        default: false,
+    //receipts of direct msgs, set for the receiver only
+    deliveredAt: {
+        type: Date,
+        default: null,
+    },
+    readAt: {
+        type: Date,
+        default: null,
+    },
+    //previous versions of the text, oldest first
+    editHistory: [{
+        text: String,
+        editedAt: Date,
+        _id: false,
+    }],
+    editedAt: {
+        type: Date,
+    },
+    //users who removed this msg from their own view ("delete for me")
+    deletedFor: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+        select: false,
+    },
+    //set when the sender deleted it for everyone, the msg stays as a tombstone
+    deletedAt: {
+        type: Date,
     }
 }, { timestamps: true })
 
+//history is paged newest first, per direct chat and per group
+MessageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
+MessageSchema.index({ conversationId: 1, createdAt: -1 });
+
 export const Message = mongoose.model("Message", MessageSchema)
\ No newline at end of file
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const RefreshTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    //every token rotated from one login shares a family, reuse revokes the whole family
+    family: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    //hash of the token that replaced this one on rotation
+    replacedBy: {
+        type: String,
+    },
+}, { timestamps: true })
+
+//expired tokens are removed by mongodb
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema)
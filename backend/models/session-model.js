@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+//one document per login, its id is the family of the refresh tokens and the "sid" of access tokens
+const SessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    userAgent: {
+        type: String,
+        default: "",
+    },
+    device: {
+        type: String,
+        default: "Unknown device",
+    },
+    ip: {
+        type: String,
+        default: "",
+    },
+    //updated whenever the session refreshes its access token
+    lastActiveAt: {
+        type: Date,
+        default: Date.now,
+    },
+    //follows the expiry of the latest refresh token
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true })
+
+//expired sessions are removed by mongodb
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", SessionSchema)
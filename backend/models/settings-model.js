@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { USER_ROLES } from './user-model.js';
+
+export const SETTINGS_ID = "global";
+export const MAX_UPLOAD_SIZE_LIMIT = 20 * 1024 * 1024;
+//AI tokens per role, 0 means no limit
+export const DEFAULT_AI_QUOTAS = {
+    user: { daily: 20000, monthly: 300000 },
+    moderator: { daily: 50000, monthly: 1000000 },
+    admin: { daily: 0, monthly: 0 },
+};
+
+const tokenLimit = (period) => ({
+    type: Number,
+    min: [0, `The ${period} AI limit cannot be negative`],
+    validate: {
+        validator: Number.isInteger,
+        message: `The ${period} AI limit must be a whole number of tokens`,
+    },
+});
+
+const AiQuotaSchema = new mongoose.Schema({
+    daily: tokenLimit("daily"),
+    monthly: tokenLimit("monthly"),
+}, { _id: false });
+
+//app wide feature flags, there is a single document with the id SETTINGS_ID
+const SettingsSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: SETTINGS_ID,
+    },
+    aiEnabled: {
+        type: Boolean,
+        default: () => String(process.env.AI_ENABLED || "").toLowerCase() === "true",
+    },
+    uploadsEnabled: {
+        type: Boolean,
+        default: true,
+    },
+    //in bytes, multer rejects bigger files
+    maxUploadSize: {
+        type: Number,
+        default: 5 * 1024 * 1024,
+        min: [1024, "Max upload size must be at least 1KB"],
+        max: [MAX_UPLOAD_SIZE_LIMIT, "Max upload size cannot be more than 20MB"],
+    },
+    allowedMimeTypes: {
+        type: [String],
+        default: ["image/jpeg", "image/png", "image/webp", "image/gif"],
+        validate: {
+            validator: (types) => types.length > 0 && types.every(type => /^image\/[a-z0-9.+-]+$/.test(type)),
+            message: "Allowed types must be image MIME types like image/png",
+        },
+    },
+    //one of the models the AI provider lists, empty uses the provider's first one
+    defaultAiModel: {
+        type: String,
+        default: "",
+        trim: true,
+    },
+    aiQuotas: Object.fromEntries(USER_ROLES.map(role => [role, {
+        type: AiQuotaSchema,
+        default: () => DEFAULT_AI_QUOTAS[role],
+    }])),
+}, { timestamps: true })
+
+export const Settings = mongoose.model("Settings", SettingsSchema)
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 
+export const USER_STATUSES = ["online", "away", "busy", "invisible"];
+//ordered from least to most privileged
+export const USER_ROLES = ["user", "moderator", "admin"];
+
 const UserSchema = new mongoose.Schema({
     fullName: {
         type: String,
@@ -9,6 +13,11 @@ const UserSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    //set once the user opened the link sent to their email
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
     password: {
         type: String,
         required: true,
@@ -23,6 +32,71 @@ const UserSchema = new mongoose.Schema({
         type: String,
         default: "Hey there! I am using Chatspace.",
     },
-}, { strict: false }, { timestamps: true });
+    role: {
+        type: String,
+        enum: USER_ROLES,
+        default: "user",
+    },
+    //presence picked by the user, "away" is also set automatically while idle
+    status: {
+        type: String,
+        enum: USER_STATUSES,
+        default: "online",
+    },
+    lastSeen: {
+        type: Date,
+        default: null,
+    },
+    //set by an admin, suspended users cannot login or use the api
+    suspendedAt: {
+        type: Date,
+        default: null,
+    },
+    //users shown in the sidebar, msgs from anyone else land in message requests
+    contacts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    }],
+    //users this user blocked, they cannot message this user or see their presence
+    blockedUsers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    }],
+    //users whose msgs do not notify this user or count as unread
+    mutedUsers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    }],
+    //failed logins in a row, reaching the limit sets lockedUntil
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+        select: false,
+    },
+    lockedUntil: {
+        type: Date,
+        default: null,
+        select: false,
+    },
+    //totp two-factor auth, the secret is stored on setup and only used once enabled
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false,
+    },
+    //last accepted time step, a code is never accepted twice
+    twoFactorLastStep: {
+        type: Number,
+        select: false,
+    },
+    //sha256 hashes of the unused backup codes
+    twoFactorBackupCodes: {
+        type: [String],
+        select: false,
+    },
+}, { timestamps: true });
 
 export const User = mongoose.model("User", UserSchema);
\ No newline at end of file
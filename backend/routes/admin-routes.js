@@ -0,0 +1,19 @@
+import { Router } from "express";
+import { setUserRole, getUsers, suspendUser, unsuspendUser, deleteUser, updateAdminSettings, getStats, getAiUsageSummary } from "../controllers/admin-controllers.js";
+import { verifyToken, requireRole } from "../middlewares/auth.js";
+
+const router = Router();
+
+// every admin route needs an admin
+router.use(verifyToken, requireRole("admin"));
+
+router.get("/users", getUsers);
+router.put("/users/:userId/role", setUserRole);
+router.post("/users/:userId/suspend", suspendUser);
+router.post("/users/:userId/unsuspend", unsuspendUser);
+router.delete("/users/:userId", deleteUser);
+router.put("/settings", updateAdminSettings);
+router.get("/stats", getStats);
+router.get("/ai-usage", getAiUsageSummary);
+
+export default router;
@@ -1,12 +1,20 @@
 import { Router } from "express";
-import { verifyToken } from "../middlewares/auth.js";
-import { chatWithAI, getAiStatus, toggleAiStatus } from "../controllers/ai-controllers.js";
+import { verifyToken, requireRole } from "../middlewares/auth.js";
+import { rateLimit } from "../middlewares/rate-limit.js";
+import { chatWithAI, getAiStatus, toggleAiStatus, getAiContext, resetAiContext, getAiModels, getAiUsage, summarizeConversation } from "../controllers/ai-controllers.js";
 
 const router = Router();
 
-router.post("/chat", verifyToken, chatWithAI);
-router.post("/limiter", verifyToken, toggleAiStatus);
+router.post("/chat", verifyToken, rateLimit("aiChat"), chatWithAI);
+router.post("/summarize/:userId", verifyToken, rateLimit("aiChat"), summarizeConversation);
+// a POST without "enabled" only reads the status, older clients do that, so only changing it needs admin
+const readOrToggle = (req, res, next) => req.body?.enabled === undefined ? getAiStatus(req, res) : next();
+router.post("/limiter", verifyToken, readOrToggle, requireRole("admin"), toggleAiStatus);
 router.get("/limiter", verifyToken, getAiStatus);
+router.get("/models", verifyToken, getAiModels);
+router.get("/usage", verifyToken, getAiUsage);
+router.get("/context", verifyToken, getAiContext);
+router.post("/context/reset", verifyToken, resetAiContext);
 export default router;
 
 
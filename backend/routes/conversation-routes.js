@@ -0,0 +1,29 @@
+import { Router } from "express";
+import {
+    getConversations,
+    createConversation,
+    renameConversation,
+    updateConversationAvatar,
+    addMembers,
+    removeMember,
+    leaveConversation
+} from "../controllers/conversation-controllers.js";
+import { getAllMessages, sendMessage } from "../controllers/message-controllers.js";
+import { verifyToken } from "../middlewares/auth.js";
+import { rateLimit } from "../middlewares/rate-limit.js";
+import upload, { checkUploadEnabled } from "../middlewares/multer.js";
+
+const router = Router();
+router.get("/", verifyToken, getConversations);
+router.post("/", verifyToken, createConversation);
+router.patch("/:conversationId", verifyToken, renameConversation);
+router.put("/:conversationId/avatar", verifyToken, checkUploadEnabled, upload.single('avatar'), updateConversationAvatar);
+router.post("/:conversationId/members", verifyToken, addMembers);
+router.delete("/:conversationId/members/:memberId", verifyToken, removeMember);
+router.post("/:conversationId/leave", verifyToken, leaveConversation);
+
+// group messages reuse the direct message controllers
+router.get("/:conversationId/messages", verifyToken, getAllMessages);
+router.post("/:conversationId/send", verifyToken, rateLimit("sendMessage"), checkUploadEnabled, upload.single('image'), sendMessage);
+
+export default router;
@@ -1,14 +1,18 @@
 import { Router } from "express";
-import { getAllMessages, makeMsgSeen, getUsersForSidebar, sendMessage } from "../controllers/message-controllers.js";
+import { getAllMessages, makeMsgSeen, getUsersForSidebar, sendMessage, editMessage, deleteMessage, deleteConversation } from "../controllers/message-controllers.js";
 import { verifyToken } from "../middlewares/auth.js";
+import { rateLimit } from "../middlewares/rate-limit.js";
 import upload, { checkUploadEnabled } from "../middlewares/multer.js";
 
 const router = Router();
 router.get("/users", verifyToken, getUsersForSidebar);
 router.get("/:userId", verifyToken, getAllMessages);
 router.put("/seen/:msgId", verifyToken, makeMsgSeen);
+router.delete("/conversation/:userId", verifyToken, deleteConversation);
+router.patch("/:msgId", verifyToken, editMessage);
+router.delete("/:msgId", verifyToken, deleteMessage);
 
 // Use upload.single('image') but make it optional for text-only messages
-router.post("/send/:userId", verifyToken, checkUploadEnabled, upload.single('image'), sendMessage);
+router.post("/send/:userId", verifyToken, rateLimit("sendMessage"), checkUploadEnabled, upload.single('image'), sendMessage);
 
 export default router;
\ No newline at end of file
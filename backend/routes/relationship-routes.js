@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { verifyToken } from "../middlewares/auth.js";
+import { blockUser, unblockUser, muteUser, unmuteUser, searchUsers, addContact, removeContact } from "../controllers/relationship-controllers.js";
+
+const router = Router();
+
+router.get("/search", verifyToken, searchUsers);
+router.post("/:userId/contact", verifyToken, addContact);
+router.delete("/:userId/contact", verifyToken, removeContact);
+router.post("/:userId/block", verifyToken, blockUser);
+router.delete("/:userId/block", verifyToken, unblockUser);
+router.post("/:userId/mute", verifyToken, muteUser);
+router.delete("/:userId/mute", verifyToken, unmuteUser);
+
+export default router;
@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { verifyToken } from "../middlewares/auth.js";
+import { getAppSettings } from "../controllers/settings-controllers.js";
+
+const router = Router();
+
+router.get("/", verifyToken, getAppSettings);
+
+export default router;
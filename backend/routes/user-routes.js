@@ -1,14 +1,34 @@
 import express from "express";
 import { Router } from "express";
-import { signup, login, updateProfile, getUserProfile } from "../controllers/user-controllers.js";
+import { signup, login, updateProfile, getUserProfile, updateStatus } from "../controllers/user-controllers.js";
+import { refreshAccessToken, logout, getSessions, endSession, endAllSessions, verifyEmail, resendVerificationEmail, forgotPassword, resetPassword, changePassword, changeEmail, confirmEmailChange } from "../controllers/auth-controllers.js";
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor, loginWithTwoFactor } from "../controllers/two-factor-controllers.js";
 import { verifyToken } from "../middlewares/auth.js";
+import { rateLimit } from "../middlewares/rate-limit.js";
 import upload, { checkUploadEnabled } from "../middlewares/multer.js";
 
 const router = Router();
 
-router.post('/signup', signup);
-router.post('/login', login);
+router.post('/signup', rateLimit('signup'), signup);
+router.post('/login', rateLimit('login'), login);
+router.post('/2fa/login', rateLimit('login'), loginWithTwoFactor);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', logout);
+router.post('/verify-email', verifyEmail);
+router.post('/verify-email/resend', verifyToken, resendVerificationEmail);
+router.post('/forgot-password', rateLimit('passwordReset'), forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/confirm-email', confirmEmailChange);
 router.put('/update-profile', verifyToken, checkUploadEnabled, upload.single('profilePic'), updateProfile);
 router.get('/get-profile', verifyToken, getUserProfile);
+router.put('/status', verifyToken, updateStatus);
+router.put('/password', verifyToken, changePassword);
+router.put('/email', verifyToken, changeEmail);
+router.post('/2fa/setup', verifyToken, setupTwoFactor);
+router.post('/2fa/enable', verifyToken, enableTwoFactor);
+router.post('/2fa/disable', verifyToken, disableTwoFactor);
+router.get('/sessions', verifyToken, getSessions);
+router.delete('/sessions', verifyToken, endAllSessions);
+router.delete('/sessions/:sessionId', verifyToken, endSession);
 
 export default router;
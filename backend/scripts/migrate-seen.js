@@ -0,0 +1,27 @@
+//one-off: msgs stored before receipts existed only carry a "seen" flag, turn it into readAt and deliveredAt
+//run once after upgrading with "npm run migrate:seen", running it again changes nothing
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../lib/db.js';
+import { Message } from '../models/message-model.js';
+
+dotenv.config();
+
+await connectDB();
+try {
+    const result = await Message.collection.updateMany({ seen: { $exists: true } }, [
+        {
+            $set: {
+                readAt: { $cond: ["$seen", { $ifNull: ["$readAt", "$updatedAt"] }, "$readAt"] },
+                deliveredAt: { $cond: ["$seen", { $ifNull: ["$deliveredAt", "$updatedAt"] }, "$deliveredAt"] },
+            }
+        },
+        { $unset: "seen" }
+    ]);
+    console.log(`Converted the seen flag of ${result.modifiedCount} messages`);
+} catch (error) {
+    console.error("Error migrating seen flags:", error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -1,16 +1,30 @@
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import dotenv from 'dotenv';
 import http from 'http';
 import jwt from 'jsonwebtoken';
 import { connectDB } from './lib/db.js';
+import { clientOrigins } from './lib/util.js';
 import { User } from './models/user-model.js';
 import { verifySocket } from './middlewares/auth.js';
 import userRouter from './routes/user-routes.js';
 import messageRouter from './routes/messages-routes.js';
+import conversationRouter from './routes/conversation-routes.js';
 import aiRouter from "./routes/ai-routes.js";
+import adminRouter from "./routes/admin-routes.js";
+import settingsRouter from "./routes/settings-routes.js";
+import relationshipRouter from "./routes/relationship-routes.js";
 import { Server } from 'socket.io';
 import { loadAiEnabled } from './controllers/ai-controllers.js';
+import { registerTypingHandlers } from './lib/typing.js';
+import { registerReceiptHandlers } from './lib/receipts.js';
+import { registerPresenceHandlers, broadcastPresence, markOffline } from './lib/presence.js';
+import { registerSocketRateLimit } from './lib/rate-limit.js';
+import { registerAiHandlers } from './lib/ai.js';
+import { migrateLegacyAdmin } from './lib/roles.js';
+import { migrateLegacySettings } from './lib/settings.js';
+import { migrateLegacyContacts } from './lib/contacts.js';
 
 dotenv.config();
 
@@ -25,8 +39,18 @@ export const io = new Server(server, {
         methods: ["GET", "POST", "PATCH"]
     }
 });
-//store online users
-export const userSocketMap = new Map(); //key:userId value:socketId
+//store online users, a user can be connected from several tabs/devices
+export const userSocketMap = new Map(); //key:userId value:Set of socketIds
+
+//every socket of a user joins this room
+export const userRoom = (userId) => `user:${userId}`;
+
+//emit an event to every device of every user in the list
+export const emitToUsers = (userIds, event, payload) => {
+    // io.to([]) would broadcast to everyone
+    if (userIds.length === 0) return;
+    io.to(userIds.map((id) => userRoom(id))).emit(event, payload);
+}
 
 // Use socket authentication middleware
 io.use(verifySocket);
@@ -37,34 +61,66 @@ io.on("connection", (socket) => {
     console.log(`User connected: ${socket.user.fullName} (${userId})`);
 
     if (userId) {
-        userSocketMap.set(userId, socket.id);
+        socket.join(userRoom(userId));
+        if (!userSocketMap.has(userId)) {
+            userSocketMap.set(userId, new Set());
+        }
+        userSocketMap.get(userId).add(socket.id);
     }
-    //emit event to all connected users (convert Map keys to array)
-    io.emit("getOnlineUsers", Array.from(userSocketMap.keys()));
+
+    // before the feature handlers so every event is throttled
+    registerSocketRateLimit(socket);
+    registerPresenceHandlers(socket);
+    broadcastPresence();
+    registerTypingHandlers(socket);
+    registerReceiptHandlers(socket);
+    registerAiHandlers(socket);
 
     socket.on("disconnect", () => {
         console.log(`User disconnected: ${socket.user.fullName} (${userId})`);
-        if (userId) {
-            userSocketMap.delete(userId);
+        const sockets = userSocketMap.get(userId);
+        if (sockets) {
+            sockets.delete(socket.id);
+            // offline only once the last connection is gone
+            if (sockets.size === 0) {
+                userSocketMap.delete(userId);
+                markOffline(socket.user);
+            }
         }
-        //emit event to all connected users (convert Map keys to array)
-        io.emit("getOnlineUsers", Array.from(userSocketMap.keys()));
+        broadcastPresence();
     });
 });
 
 
+//behind the vercel proxy req.ip must come from x-forwarded-for
+app.set('trust proxy', 1);
+
 //middlewares
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true, limit: '2mb' }));
-app.use(cors());
+app.use(cookieParser());
+// credentials are needed for the httpOnly refresh token cookie, so the origin must be explicit
+if (process.env.NODE_ENV === 'production' && !process.env.CLIENT_URL) {
+    console.error("CLIENT_URL is not set, only http://localhost:5173 may call the api");
+}
+app.use(cors({
+    origin: clientOrigins(),
+    credentials: true,
+}));
 
 app.use("/api/status", (req, res) => res.send("Server is running"));
 app.use("/api/auth", userRouter);
 app.use("/api/messages", messageRouter);
+app.use("/api/conversations", conversationRouter);
 app.use("/api/ai", aiRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/settings", settingsRouter);
+app.use("/api/users", relationshipRouter);
 
 connectDB();
-loadAiEnabled(); // Load AI enabled status on server start
+migrateLegacyContacts(); // Make everyone a user already talked to a contact
+// Promote the ADMIN_ID user to the admin role, move the flags stored on users into settings, then load them
+migrateLegacyAdmin().then(migrateLegacySettings).then(loadAiEnabled);
 
 if (process.env.NODE_ENV !== 'production') {
     server.listen(PORT, () => {
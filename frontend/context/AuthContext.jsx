@@ -1,10 +1,27 @@
-import { createContext, useEffect, useState } from "react";
+import { createContext, useEffect, useRef, useState } from "react";
 import toast from "react-hot-toast";
 import { io } from "socket.io-client";
 import axios from "axios";
 
 const backendURL = import.meta.env.VITE_BACKEND_URL;
 axios.defaults.baseURL = backendURL;
+axios.defaults.withCredentials = true; //sends the httpOnly refresh token cookie
+
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000; //inactivity before we are shown as away
+
+//requests that must never trigger a refresh themselves
+const AUTH_URLS = /\/api\/auth\/(refresh|login|signup|logout|2fa\/login)$/;
+
+//shared by concurrent 401s so the refresh token is rotated only once
+let refreshPromise = null;
+const requestNewToken = () => {
+    if (!refreshPromise) {
+        refreshPromise = axios.post("/api/auth/refresh")
+            .then(({ data }) => data.token)
+            .finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+}
 
 export const AuthContext = createContext();
 
@@ -12,7 +29,10 @@ export const AuthProvider = ({ children }) => {
     const [token, setToken] = useState(localStorage.getItem("token") || null); //token is stored in local storage
     const [authUser, setAuthUser] = useState(null);  //this user is the logged in user
     const [onlineUsers, setOnlineUsers] = useState([]); //array of userIds who are online
+    const [presence, setPresence] = useState({}); //object with userId as key and online/away/busy as value
+    const [lastSeen, setLastSeen] = useState({}); //object with userId as key and lastSeen received during this session as value
     const [socket, setSocket] = useState(null);
+    const socketRef = useRef(null); //same socket as above, readable from callbacks created before it existed
 
     //check if user is authenticated and set user data and connect to socket
     const checkAuth = async () => {
@@ -41,13 +61,15 @@ export const AuthProvider = ({ children }) => {
     };
 
     //login func to handle socket connection on login
+    //state is "login", "signup" or "2fa/login" for the second step of a two-factor login
     const login = async (state, credentials) => {
         try {
             const { data } = await axios.post(`/api/auth/${state}`, credentials);
+            if (data?.twoFactorRequired) {
+                return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+            }
             if (data?.success) {
-                setToken(data.token);
-                localStorage.setItem("token", data.token);
-                axios.defaults.headers.common["Authorization"] = `Bearer ${data.token}`;
+                applyToken(data.token);
                 setAuthUser(data.userData);
                 connectSocket(data.userData);
                 toast.success(data.message);
@@ -58,23 +80,176 @@ export const AuthProvider = ({ children }) => {
             }
         } catch (error) {
             const errorMessage = error.response?.data?.message || error.message || "An error occurred";
-            toast.error("Login failed");
+            // locked accounts and rate limits explain when to try again, suspended accounts say so
+            const showDetails = state === "2fa/login" || [403, 429].includes(error.response?.status);
+            toast.error(showDetails ? errorMessage : "Login failed");
             return { success: false, message: errorMessage };
         }
     }
 
-    //logout func to disconnect socket on logout
-    const logout = async () => {
+    //second login step with a code from the authenticator app or a backup code
+    const verifyTwoFactorLogin = (challengeToken, code) => login("2fa/login", { challengeToken, code });
+
+    //store the access token for axios and the socket
+    const applyToken = (newToken) => {
+        setToken(newToken);
+        localStorage.setItem("token", newToken);
+        axios.defaults.headers.common["Authorization"] = `Bearer ${newToken}`;
+    }
+
+    //get a new access token using the refresh cookie and reconnect the socket with it
+    const renewSession = async () => {
+        const newToken = await requestNewToken();
+        applyToken(newToken);
+        const currentSocket = socketRef.current;
+        if (currentSocket) {
+            currentSocket.auth.token = newToken;
+            currentSocket.disconnect().connect();
+        }
+        return newToken;
+    }
+
+    //drop the local session state and disconnect the socket
+    const clearSession = () => {
         localStorage.removeItem("token");
         setToken(null);
         setAuthUser(null);
         setOnlineUsers([]);
+        setPresence({});
         axios.defaults.headers.common["Authorization"] = null;
-        toast.success("Logged out successfully");
-        if (socket && socket.disconnect) socket.disconnect();
+        socketRef.current?.disconnect();
+        socketRef.current = null;
         setSocket(null);
     }
 
+    //called when the refresh token is no longer accepted
+    const expireSession = () => {
+        if (localStorage.getItem("token")) {
+            toast.error("Session expired, please login again");
+        }
+        clearSession();
+    }
+
+    //logout func to revoke the refresh token and disconnect socket on logout
+    const logout = async () => {
+        socketRef.current?.disconnect(); //our own logout, the server need not tell this socket
+        try {
+            await axios.post("/api/auth/logout");
+        } catch (error) {
+            console.log("Error logging out", error.response?.data?.message || error.message);
+        }
+        clearSession();
+        toast.success("Logged out successfully");
+    }
+
+    //send a request to an auth endpoint and toast the outcome, used by the email and security flows
+    const submitAuthRequest = async (url, body, method = "post") => {
+        try {
+            const { data } = await axios[method](url, body);
+            if (data?.success) {
+                toast.success(data.message);
+            } else {
+                toast.error(data.message);
+            }
+            return { ...data, success: Boolean(data?.success) };
+        } catch (error) {
+            const errorMessage = error.response?.data?.message || error.message || "Request failed";
+            toast.error(errorMessage);
+            return { success: false, message: errorMessage };
+        }
+    }
+
+    const requestPasswordReset = (email) => submitAuthRequest("/api/auth/forgot-password", { email });
+
+    const resetPassword = (token, password) => submitAuthRequest("/api/auth/reset-password", { token, password });
+
+    const resendVerificationEmail = () => submitAuthRequest("/api/auth/verify-email/resend");
+
+    //confirm the email from the verification link, this also works while logged out
+    const verifyEmail = async (token) => {
+        const result = await submitAuthRequest("/api/auth/verify-email", { token });
+        if (result.success) {
+            setAuthUser(prev => prev ? { ...prev, emailVerified: true } : prev);
+        }
+        return result;
+    }
+
+    //other devices are logged out by the server, this one keeps its session
+    const changePassword = (currentPassword, newPassword) =>
+        submitAuthRequest("/api/auth/password", { currentPassword, newPassword }, "put");
+
+    //the new address gets a confirmation link, the email changes once it is opened
+    const changeEmail = (newEmail, currentPassword) =>
+        submitAuthRequest("/api/auth/email", { newEmail, currentPassword }, "put");
+
+    const confirmEmailChange = async (token) => {
+        const result = await submitAuthRequest("/api/auth/confirm-email", { token });
+        if (result.success) {
+            setAuthUser(prev => prev ? { ...prev, email: result.email, emailVerified: true } : prev);
+        }
+        return result;
+    }
+
+    //start 2fa enrollment, returns the QR code and secret to add to an authenticator app
+    const setupTwoFactor = () => submitAuthRequest("/api/auth/2fa/setup");
+
+    //confirm enrollment with the first code, the result carries the backup codes
+    const enableTwoFactor = async (code) => {
+        const result = await submitAuthRequest("/api/auth/2fa/enable", { code });
+        if (result.success) {
+            setAuthUser(prev => ({ ...prev, twoFactorEnabled: true }));
+        }
+        return result;
+    }
+
+    const disableTwoFactor = async (currentPassword, code) => {
+        const result = await submitAuthRequest("/api/auth/2fa/disable", { currentPassword, code });
+        if (result.success) {
+            setAuthUser(prev => ({ ...prev, twoFactorEnabled: false }));
+        }
+        return result;
+    }
+
+    //active logins of the user, the current one has current: true
+    const getSessions = async () => {
+        try {
+            const { data } = await axios.get("/api/auth/sessions");
+            return data?.success ? data.sessions : [];
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message || "Failed to load sessions");
+            return [];
+        }
+    }
+
+    //log out one device, logging out the current one ends this session too
+    const endSession = async (session) => {
+        try {
+            if (session.current) socketRef.current?.disconnect();
+            const { data } = await axios.delete(`/api/auth/sessions/${session._id}`);
+            if (data?.success) {
+                toast.success(data.message);
+                if (session.current) clearSession();
+                return true;
+            }
+            toast.error(data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message || "Failed to end session");
+        }
+        return false;
+    }
+
+    //log out every device including this one
+    const logoutEverywhere = async () => {
+        try {
+            socketRef.current?.disconnect();
+            const { data } = await axios.delete("/api/auth/sessions");
+            toast.success(data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message || "Failed to log out everywhere");
+        }
+        clearSession();
+    }
+
     //update profile func to update authUser state
     const updateProfile = async (formData) => {
         try {
@@ -99,9 +274,39 @@ export const AuthProvider = ({ children }) => {
         }
     }
 
+    //update the presence status picked by the user
+    const updateStatus = async (status) => {
+        try {
+            const { data } = await axios.put("/api/auth/status", { status });
+            if (data?.success) {
+                setAuthUser(prev => ({ ...prev, status: data.status }));
+            } else {
+                toast.error(data.message);
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message || "Status update failed");
+        }
+    }
+
+    //block or mute another user, authUser keeps the lists the server returns
+    const setBlocked = async (userId, blocked) => {
+        const result = await submitAuthRequest(`/api/users/${userId}/block`, undefined, blocked ? "post" : "delete");
+        if (result.success) setAuthUser(prev => ({ ...prev, blockedUsers: result.blockedUsers }));
+        return result;
+    }
+
+    const setMuted = async (userId, muted) => {
+        const result = await submitAuthRequest(`/api/users/${userId}/mute`, undefined, muted ? "post" : "delete");
+        if (result.success) setAuthUser(prev => ({ ...prev, mutedUsers: result.mutedUsers }));
+        return result;
+    }
+
+    //lastSeen of a user, preferring the value received live over the stored one
+    const getLastSeen = (user) => lastSeen[user?._id] || user?.lastSeen;
+
     //connect socket to handle real-time events
     const connectSocket = (userData) => {
-        if (!userData || socket?.connected) return;
+        if (!userData || socketRef.current?.connected) return;
 
         const token = localStorage.getItem("token");
         if (!token) {
@@ -120,36 +325,78 @@ export const AuthProvider = ({ children }) => {
             },
         });
         newSocket.connect();
+        socketRef.current = newSocket;
         setSocket(newSocket);
+        let triedRefresh = false; //one refresh per failed connection, then give up
 
         newSocket.on("getOnlineUsers", (userIds) => {
-            // server should emit an array of userIds;
+            // server emits an object with userId as key and presence status as value
             console.debug("getOnlineUsers payload:", userIds);
             if (Array.isArray(userIds)) {
                 setOnlineUsers(userIds);
+                setPresence(Object.fromEntries(userIds.map(id => [id, 'online'])));
             } else if (userIds && typeof userIds === 'object') {
                 try {
                     setOnlineUsers(Array.from(Object.keys(userIds)));
+                    setPresence(userIds);
                 } catch (e) {
                     setOnlineUsers([]);
+                    setPresence({});
                 }
             } else {
                 setOnlineUsers([]);
+                setPresence({});
             }
         });
 
+        newSocket.on("userLastSeen", ({ userId, lastSeen }) => {
+            setLastSeen(prev => ({ ...prev, [userId]: lastSeen }));
+        });
+
+        // this login was ended from another device, the server disconnects us right after
+        newSocket.on("sessionRevoked", () => {
+            toast.error("This session was logged out");
+            clearSession();
+        });
+
+        // the server dropped an event because we sent too many
+        newSocket.on("rateLimited", ({ retryAfter }) => {
+            toast.error(`Slow down, try again in ${retryAfter}s`, { id: "rate-limited" });
+        });
+
+        // an admin changed our role
+        newSocket.on("roleChanged", (role) => {
+            setAuthUser(prev => prev ? { ...prev, role } : prev);
+        });
+
+        // status picked on another device
+        newSocket.on("statusChanged", (status) => {
+            setAuthUser(prev => prev ? { ...prev, status } : prev);
+        });
+
+        // blocked or muted someone on another device
+        newSocket.on("relationsChanged", ({ blockedUsers, mutedUsers }) => {
+            setAuthUser(prev => prev ? { ...prev, blockedUsers, mutedUsers } : prev);
+        });
+
         newSocket.on('connect_error', (err) => { // Log connection errors
             console.error('Socket connection failed:', err.message);
 
             // Handle authentication errors specifically
             if (err.message.includes('Authentication error')) {
                 console.error('Socket authentication failed - token may be invalid or expired');
-                // force logout on auth failure
-                logout();
+                if (triedRefresh) {
+                    expireSession();
+                    return;
+                }
+                // access token probably expired, renewSession reconnects with a new one
+                triedRefresh = true;
+                renewSession().catch(expireSession);
             }
         });
 
         newSocket.on('connect', () => {
+            triedRefresh = false;
             console.log('Socket connected successfully');
         });
 
@@ -158,21 +405,91 @@ export const AuthProvider = ({ children }) => {
         });
     }
 
-    useEffect(() => { // on initial load, check for token and set axios header
+    //report inactivity so the server can show us as away
+    useEffect(() => {
+        if (!socket) return;
+        let idle = false;
+        let timer;
+        const markActive = () => {
+            clearTimeout(timer);
+            if (idle) {
+                idle = false;
+                socket.emit("presence:idle", false);
+            }
+            timer = setTimeout(() => {
+                idle = true;
+                socket.emit("presence:idle", true);
+            }, IDLE_TIMEOUT_MS);
+        };
+        const activityEvents = ["mousemove", "mousedown", "keydown", "touchstart", "focus"];
+        activityEvents.forEach(event => window.addEventListener(event, markActive));
+        markActive();
+        return () => {
+            clearTimeout(timer);
+            activityEvents.forEach(event => window.removeEventListener(event, markActive));
+        };
+    }, [socket]);
+
+    //retry a request once with a new access token when the current one expired
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(
+            (response) => response,
+            async (error) => {
+                const request = error.config;
+                if (error.response?.status !== 401 || !request || request._retried || AUTH_URLS.test(request.url)) {
+                    return Promise.reject(error);
+                }
+                request._retried = true;
+                try {
+                    const newToken = await renewSession();
+                    request.headers.Authorization = `Bearer ${newToken}`;
+                    return axios(request);
+                } catch {
+                    expireSession();
+                    return Promise.reject(error);
+                }
+            }
+        );
+        return () => axios.interceptors.response.eject(interceptor);
+        // renewSession and expireSession only use setters and refs, so the first ones stay valid
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    useEffect(() => { // on initial load, set axios header and check auth
         if (token) {
             localStorage.setItem("token", token);
             axios.defaults.headers.common["Authorization"] = `Bearer ${token}`;
-            checkAuth();
         }
+        // without an access token the refresh cookie can still restore the session
+        checkAuth();
     }, []);
 
     const value = {
         axios, //passing axios because its configured here with baseURL and auth header
         authUser,
         onlineUsers,
+        presence,
+        getLastSeen,
+        updateStatus,
+        setBlocked,
+        setMuted,
         socket,
         login,
         logout,
+        requestPasswordReset,
+        resetPassword,
+        verifyEmail,
+        resendVerificationEmail,
+        changePassword,
+        changeEmail,
+        confirmEmailChange,
+        verifyTwoFactorLogin,
+        setupTwoFactor,
+        enableTwoFactor,
+        disableTwoFactor,
+        getSessions,
+        endSession,
+        logoutEverywhere,
         updateProfile,
     };
     return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
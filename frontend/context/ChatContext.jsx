@@ -1,24 +1,53 @@
-import { createContext, useContext, useState, useEffect } from "react";
+import { createContext, useContext, useState, useEffect, useRef } from "react";
 import { AuthContext } from "./AuthContext";
 import toast from "react-hot-toast";
 
 export const ChatContext = createContext(null);
 
+//groups live under /api/conversations, direct chats under /api/messages
+const messagesUrl = (chat) => chat.isGroup ? `/api/conversations/${chat._id}/messages` : `/api/messages/${chat._id}`;
+const sendUrl = (chat) => chat.isGroup ? `/api/conversations/${chat._id}/send` : `/api/messages/send/${chat._id}`;
+const asGroup = (conversation) => ({ ...conversation, isGroup: true });
+
 export const ChatProvider = ({ children }) => {
 
-    const [messages, setMessages] = useState([]); //all messages with selected user
-    const [users, setUsers] = useState([]); //all users except logged in user
-    const [selectedUser, setSelectedUser] = useState(null); //this user is the one we are chatting with
-    const [unseenMessages, setUnseenMessages] = useState({}); //object with userId as key and number of unseen msgs as value
+    const [messages, setMessages] = useState([]); //loaded messages with selected user, oldest first
+    const [nextCursor, setNextCursor] = useState(null); //cursor of the next older page, null when history is complete
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const [users, setUsers] = useState([]); //contacts of the logged in user, and the AI assistant
+    const [requests, setRequests] = useState([]); //non-contacts who sent us a msg, until accepted
+    const [groups, setGroups] = useState([]); //group conversations the logged in user is a member of
+    const [selectedUser, setSelectedUser] = useState(null); //this user (or group) is the one we are chatting with
+    const [unseenMessages, setUnseenMessages] = useState({}); //object with userId/conversationId as key and number of unseen msgs as value
+    const [typingUsers, setTypingUsers] = useState({}); //object with userId/conversationId as key and array of typing userIds as value
+    const [settings, setSettings] = useState(null); //app wide flags like uploadsEnabled and maxUploadSize, null until loaded
+
+    const { socket, axios, authUser } = useContext(AuthContext);
+
+    const selectedUserRef = useRef(selectedUser);
+    useEffect(() => {
+        selectedUserRef.current = selectedUser;
+    }, [selectedUser]);
+
+    //socket handlers are not re-created when the user mutes someone, they read the list from here
+    const mutedUsersRef = useRef([]);
+    useEffect(() => {
+        mutedUsersRef.current = authUser?.mutedUsers || [];
+    }, [authUser?.mutedUsers]);
 
-    const { socket, axios } = useContext(AuthContext);
+    //ids of everyone in the sidebar, a msg from anyone else is a new request
+    const sidebarIdsRef = useRef(new Set());
+    useEffect(() => {
+        sidebarIdsRef.current = new Set([...users, ...requests].map((user) => user._id));
+    }, [users, requests]);
 
-    //func to get all users for sidebar
+    //func to get contacts and message requests for sidebar
     const getUsers = async () => {
         try {
             const { data } = await axios.get("/api/messages/users");
             if (data?.success) {
                 setUsers(data.users);
+                setRequests(data.requests || []);
                 setUnseenMessages(data.unseenMsgs);
             }
 
@@ -27,12 +56,26 @@ export const ChatProvider = ({ children }) => {
         }
     }
 
-    //func to get all messages with selected user
-    const getMessages = async (userId) => {
+    //func to get all groups for sidebar
+    const getGroups = async () => {
         try {
-            const { data } = await axios.get(`/api/messages/${userId}`);
+            const { data } = await axios.get("/api/conversations");
+            if (data?.success) {
+                setGroups(data.conversations.map(asGroup));
+            }
+
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    //func to get the latest page of messages with selected user or group
+    const getMessages = async (chat) => {
+        try {
+            const { data } = await axios.get(messagesUrl(chat));
             if (data?.success) {
                 setMessages(data.messages);
+                setNextCursor(data.nextCursor);
             }
 
         } catch (error) {
@@ -40,14 +83,38 @@ export const ChatProvider = ({ children }) => {
         }
     }
 
+    //func to prepend the next older page of messages with selected user or group
+    const loadOlderMessages = async () => {
+        if (!selectedUser || !nextCursor || loadingOlder) return;
+        const chatId = selectedUser._id;
+        setLoadingOlder(true);
+        try {
+            const { data } = await axios.get(messagesUrl(selectedUser), { params: { before: nextCursor } });
+            // ignore the page if the user switched chats meanwhile
+            if (data?.success && chatId === selectedUserRef.current?._id) {
+                setMessages(prev => [...data.messages, ...prev]);
+                setNextCursor(data.nextCursor);
+            }
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoadingOlder(false);
+        }
+    }
+
     //func to send message to selected user
     const sendMessage = async (msgData) => {
         try {
             // axios automatically detects FormData and sets proper headers
             // No need for manual config - axios handles both JSON and FormData
-            const { data } = await axios.post(`/api/messages/send/${selectedUser._id}`, msgData);
+            const { data } = await axios.post(sendUrl(selectedUser), msgData);
             if (data?.success) {
-                setMessages(prev => [...prev, data.newMessage]);
+                appendMessage(data.newMessage);
+                if (!selectedUser.isGroup) {
+                    // answering a request accepts it
+                    moveToContacts(selectedUser);
+                    updateLastMessage(selectedUser._id, data.newMessage);
+                }
             } else {
                 toast.error(data.message || "Failed to send message");
             }
@@ -59,30 +126,313 @@ export const ChatProvider = ({ children }) => {
         }
     }
 
+    //func to edit the text of one of our messages
+    const editMessage = async (msgId, text) => {
+        try {
+            const { data } = await axios.patch(`/api/messages/${msgId}`, { text });
+            if (data?.success) {
+                handleMessageChanged(data.message);
+                return true;
+            }
+            toast.error(data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message);
+        }
+        return false;
+    }
+
+    //func to delete a message, scope is "me" or "everyone"
+    const deleteMessage = async (msgId, scope = "me") => {
+        try {
+            const { data } = await axios.delete(`/api/messages/${msgId}`, { params: { scope } });
+            if (data?.success) {
+                if (scope === "everyone") {
+                    handleMessageChanged(data.message);
+                } else {
+                    handleMessageHidden({ messageId: msgId });
+                }
+            } else {
+                toast.error(data.message);
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message);
+        }
+    }
+
+    //func to delete the whole thread with a user, only for us
+    const deleteConversation = async (userId) => {
+        try {
+            const { data } = await axios.delete(`/api/messages/conversation/${userId}`);
+            if (data?.success) {
+                handleConversationDeleted({ userId });
+                toast.success("Conversation deleted");
+                return true;
+            }
+            toast.error(data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message);
+        }
+        return false;
+    }
+
+    //people to add as contacts, matched by name or exact email
+    const searchUsers = async (query) => {
+        try {
+            const { data } = await axios.get("/api/users/search", { params: { q: query } });
+            if (data?.success) return data.users;
+            toast.error(data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message);
+        }
+        return [];
+    }
+
+    //a request becomes a contact, keeping its last msg for the sidebar
+    const moveToContacts = (user) => {
+        const request = requests.find((r) => r._id === user._id);
+        if (!request) return;
+        setRequests((prev) => prev.filter((r) => r._id !== user._id));
+        setUsers((prev) => [{ ...request, ...user }, ...prev.filter((u) => u._id !== user._id)]);
+    };
+
+    //add a contact from search, or accept a message request
+    const addContact = async (user) => {
+        try {
+            const { data } = await axios.post(`/api/users/${user._id}/contact`);
+            if (data?.success) {
+                if (requests.some((r) => r._id === user._id)) {
+                    moveToContacts(data.contact);
+                } else {
+                    setUsers((prev) => prev.some((u) => u._id === user._id) ? prev : [...prev, { ...data.contact, lastMessage: null, lastActivity: null }]);
+                }
+                toast.success(data.message);
+                return data.contact;
+            }
+            toast.error(data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message);
+        }
+        return null;
+    }
+
+    const removeContact = async (userId) => {
+        try {
+            const { data } = await axios.delete(`/api/users/${userId}/contact`);
+            if (data?.success) {
+                toast.success(data.message);
+                // their msgs may turn them into a request again
+                await getUsers();
+                return true;
+            }
+            toast.error(data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message);
+        }
+        return false;
+    }
+
+    //func to run a group management request and apply the returned group
+    const updateGroup = async (request, successMessage) => {
+        try {
+            const { data } = await request;
+            if (data?.success) {
+                if (data.conversation) {
+                    handleConversationUpdated(data.conversation);
+                }
+                if (successMessage) toast.success(successMessage);
+                return data.conversation || true;
+            }
+            toast.error(data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message);
+        }
+        return null;
+    }
+
+    const createGroup = (name, memberIds) =>
+        updateGroup(axios.post("/api/conversations", { name, memberIds }), "Group created");
+
+    const renameGroup = (conversationId, name) =>
+        updateGroup(axios.patch(`/api/conversations/${conversationId}`, { name }), "Group renamed");
+
+    const addGroupMembers = (conversationId, memberIds) =>
+        updateGroup(axios.post(`/api/conversations/${conversationId}/members`, { memberIds }), "Members added");
+
+    const removeGroupMember = (conversationId, memberId) =>
+        updateGroup(axios.delete(`/api/conversations/${conversationId}/members/${memberId}`), "Member removed");
+
+    const leaveGroup = async (conversationId) => {
+        const left = await updateGroup(axios.post(`/api/conversations/${conversationId}/leave`), "You left the group");
+        if (left) handleConversationRemoved({ conversationId });
+    }
+
     // define the event handler
     const handleNewMessage = (newMessage) => {
-        if (selectedUser && newMessage.senderId === selectedUser._id) {
-            newMessage.seen = true;
-            setMessages((prev) => [...prev, newMessage]);
-            axios.put(`/api/messages/seen/${newMessage._id}`);
-        } else {
+        const isOwn = newMessage.senderId === authUser?._id;
+        //group msgs are keyed by conversation, direct msgs by the other user
+        const chatId = newMessage.conversationId || (isOwn ? newMessage.receiverId : newMessage.senderId);
+
+        //our own msgs arrive here when sent from another device
+        if (isOwn) {
+            if (!newMessage.conversationId) updateLastMessage(chatId, newMessage);
+            if (selectedUser && chatId === selectedUser._id) appendMessage(newMessage);
+            return;
+        }
+
+        //a sent msg ends the sender's typing indicator
+        handleTypingStop({ from: newMessage.senderId, conversationId: newMessage.conversationId });
+        //acknowledge direct msgs so the sender sees them as delivered
+        if (!newMessage.conversationId) {
+            socket.emit("message:delivered", { messageIds: [newMessage._id] });
+            // a first msg from someone new is a request, reload the sidebar to show it
+            if (sidebarIdsRef.current.has(newMessage.senderId)) {
+                updateLastMessage(newMessage.senderId, newMessage);
+            } else {
+                getUsers();
+            }
+        }
+        if (selectedUser && chatId === selectedUser._id) {
+            if (!newMessage.conversationId) {
+                newMessage.readAt = new Date().toISOString();
+                axios.put(`/api/messages/seen/${newMessage._id}`);
+            }
+            appendMessage(newMessage);
+        } else if (!mutedUsersRef.current.includes(chatId)) {
+            //muted chats get the msg without an unread badge
             setUnseenMessages((prev) => ({
                 ...prev,
-                [newMessage.senderId]: prev[newMessage.senderId]
-                    ? prev[newMessage.senderId] + 1
+                [chatId]: prev[chatId]
+                    ? prev[chatId] + 1
                     : 1,
             }));
         }
     };
 
+    //a msg can reach us twice (http response and socket echo), keep one copy
+    const appendMessage = (message) => {
+        setMessages((prev) => prev.some((msg) => msg._id === message._id) ? prev : [...prev, message]);
+    };
+
+    const handleMessageHidden = ({ messageId }) => {
+        setMessages((prev) => prev.filter((msg) => msg._id !== messageId));
+    };
+
+    const handleConversationDeleted = ({ userId }) => {
+        if (selectedUserRef.current?._id === userId) {
+            setMessages([]);
+            setNextCursor(null);
+        }
+        setUnseenMessages(prev => ({ ...prev, [userId]: 0 }));
+        setUsers((prev) => prev.map((user) => user._id === userId
+            ? { ...user, lastMessage: null, lastActivity: null }
+            : user));
+        // a deleted request is declined
+        setRequests((prev) => prev.filter((user) => user._id !== userId));
+    };
+
+    //edits and deletions for everyone replace the msg in place
+    const handleMessageChanged = (message) => {
+        setMessages((prev) => prev.map((msg) => msg._id === message._id ? message : msg));
+    };
+
+    //move a contact's last msg and activity forward so the sidebar re-sorts
+    const updateLastMessage = (contactId, message) => {
+        const update = (prev) => prev.map((user) => user._id === contactId
+            ? { ...user, lastMessage: message, lastActivity: message.createdAt }
+            : user);
+        setUsers(update);
+        setRequests(update);
+    };
+
+    //receipts for our own msgs: { messageIds, deliveredAt } or { messageIds, readAt }
+    const handleReceipt = ({ messageIds, ...receipt }) => {
+        setMessages((prev) => prev.map((msg) => messageIds.includes(msg._id)
+            ? { ...msg, deliveredAt: msg.deliveredAt || receipt.deliveredAt || receipt.readAt, readAt: receipt.readAt || msg.readAt }
+            : msg));
+    };
+
+    const handleTypingStart = ({ from, conversationId }) => {
+        const chatId = conversationId || from;
+        setTypingUsers((prev) => ({
+            ...prev,
+            [chatId]: [...(prev[chatId] || []).filter((id) => id !== from), from],
+        }));
+    };
+
+    const handleTypingStop = ({ from, conversationId }) => {
+        const chatId = conversationId || from;
+        setTypingUsers((prev) => ({
+            ...prev,
+            [chatId]: (prev[chatId] || []).filter((id) => id !== from),
+        }));
+    };
+
+    const handleConversationUpdated = (conversation) => {
+        const group = asGroup(conversation);
+        setGroups((prev) => [group, ...prev.filter((g) => g._id !== group._id)]);
+        setSelectedUser((prev) => prev?._id === group._id ? group : prev);
+    };
+
+    const handleConversationRemoved = ({ conversationId }) => {
+        setGroups((prev) => prev.filter((g) => g._id !== conversationId));
+        setSelectedUser((prev) => prev?._id === conversationId ? null : prev);
+    };
+
+    //an admin deleted the account, drop it from the sidebar and close its chat
+    const handleUserDeleted = ({ userId }) => {
+        setUsers((prev) => prev.filter((user) => user._id !== userId));
+        setRequests((prev) => prev.filter((user) => user._id !== userId));
+        setUnseenMessages((prev) => {
+            const { [userId]: _removed, ...rest } = prev;
+            return rest;
+        });
+        setSelectedUser((prev) => prev?._id === userId ? null : prev);
+    };
+
+    //settings are loaded once per login and kept fresh by "settingsChanged"
+    useEffect(() => {
+        if (!authUser?._id) return;
+        axios.get("/api/settings")
+            .then(({ data }) => data?.success && setSettings(data.settings))
+            .catch((error) => console.error("Error fetching settings:", error));
+    }, [axios, authUser?._id]);
+
+    useEffect(() => {
+        if (!socket) return;
+        socket.on("settingsChanged", setSettings);
+        return () => socket.off("settingsChanged", setSettings);
+    }, [socket]);
+
     useEffect(() => {
         if (!socket) return;
         // subscribe
         socket.on("newMessage", handleNewMessage);
+        socket.on("messageEdited", handleMessageChanged);
+        socket.on("messageDeleted", handleMessageChanged);
+        socket.on("messageHidden", handleMessageHidden);
+        socket.on("conversationDeleted", handleConversationDeleted);
+        socket.on("messageDelivered", handleReceipt);
+        socket.on("messageRead", handleReceipt);
+        socket.on("typing:start", handleTypingStart);
+        socket.on("typing:stop", handleTypingStop);
+        socket.on("conversationUpdated", handleConversationUpdated);
+        socket.on("conversationRemoved", handleConversationRemoved);
+        socket.on("userDeleted", handleUserDeleted);
 
         // unsubscribe when component unmounts OR deps change
         return () => {
             socket.off("newMessage", handleNewMessage);
+            socket.off("messageEdited", handleMessageChanged);
+            socket.off("messageDeleted", handleMessageChanged);
+            socket.off("messageHidden", handleMessageHidden);
+            socket.off("conversationDeleted", handleConversationDeleted);
+            socket.off("messageDelivered", handleReceipt);
+            socket.off("messageRead", handleReceipt);
+            socket.off("typing:start", handleTypingStart);
+            socket.off("typing:stop", handleTypingStop);
+            socket.off("conversationUpdated", handleConversationUpdated);
+            socket.off("conversationRemoved", handleConversationRemoved);
+            socket.off("userDeleted", handleUserDeleted);
         };
 
     }, [socket, selectedUser]);
@@ -90,14 +440,33 @@ export const ChatProvider = ({ children }) => {
     const value = {
         messages,
         users,
+        requests,
+        groups,
         selectedUser,
         getUsers,
+        getGroups,
+        searchUsers,
+        addContact,
+        removeContact,
+        createGroup,
+        renameGroup,
+        addGroupMembers,
+        removeGroupMember,
+        leaveGroup,
         setMessages,
         sendMessage,
+        editMessage,
+        deleteMessage,
+        deleteConversation,
         setSelectedUser,
         unseenMessages,
         setUnseenMessages,
+        typingUsers,
         getMessages,
+        nextCursor,
+        loadingOlder,
+        loadOlderMessages,
+        settings,
     }
     return <ChatContext.Provider value={value}>{children}</ChatContext.Provider>;
 }
\ No newline at end of file
@@ -11,6 +11,8 @@ import { AuthContext } from '../context/AuthContext'
 const HomePage = React.lazy(() => import('./pages/HomePage'));
 const LoginPage = React.lazy(() => import('./pages/LoginPage'));
 const ProfilePage = React.lazy(() => import('./pages/ProfilePage'));
+const VerifyEmailPage = React.lazy(() => import('./pages/VerifyEmailPage'));
+const AdminPage = React.lazy(() => import('./pages/AdminPage'));
 const Silk = React.lazy(() => import('./components/Silk/Silk'));
 
 const App = () => {
@@ -20,8 +22,10 @@ const App = () => {
   // Page colors mapping
   const pageColors = {
     '/login': '#FF3B82',
+    '/reset-password': '#FF3B82',
     '/': '#5227FF',
-    '/profile': '#10B981'
+    '/profile': '#10B981',
+    '/admin': '#F59E0B'
   };
 
   const currentColor = pageColors[location.pathname] || '#5227FF';
@@ -51,6 +55,11 @@ const App = () => {
             <Route path='/' element={authUser ? <HomePage /> : <Navigate to="/login" />} />
             <Route path='/login' element={!authUser ? <LoginPage /> : <Navigate to="/" />} />
             <Route path='/profile' element={authUser ? <ProfilePage /> : <Navigate to="/login" />} />
+            <Route path='/admin' element={authUser?.role === 'admin' ? <AdminPage /> : <Navigate to={authUser ? "/" : "/login"} />} />
+            {/* pages opened from emailed links */}
+            <Route path='/reset-password' element={<LoginPage />} />
+            <Route path='/verify-email' element={<VerifyEmailPage />} />
+            <Route path='/confirm-email' element={<VerifyEmailPage emailChange />} />
             <Route path='/*' element={authUser ? <Navigate to="/" /> : <Navigate to="/login" />} />
           </Routes>
 
@@ -1,20 +1,29 @@
-import React, { useContext, useState, useEffect, useRef } from 'react'
+import React, { useContext, useState, useEffect, useLayoutEffect, useRef } from 'react'
 import { assets } from '../assets/assets';
-import { formatTimestamp } from '../lib/utils';
-import { askAI, fetchAiStatus } from '../lib/ai.js';
+import { formatTimestamp, formatPresence, presenceColor, formatFileSize, formatTokens } from '../lib/utils';
+import { streamAI, cancelAIStream, fetchAiStatus, fetchAiContext, resetAiContext, fetchAiUsage, summarizeChat } from '../lib/ai.js';
 import { ChatContext } from '../../context/ChatContext';
 import { AuthContext } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
 import { AiContext } from '../../context/AiContext.jsx';
 
 const ChatContainer = () => {
-  const { messages, selectedUser, setSelectedUser, sendMessage, getMessages, setMessages } = useContext(ChatContext);
-  const { authUser, onlineUsers, axios } = useContext(AuthContext);
+  const { messages, selectedUser, setSelectedUser, sendMessage, getMessages, setMessages, editMessage, deleteMessage, renameGroup, leaveGroup, nextCursor, loadingOlder, loadOlderMessages, typingUsers, settings } = useContext(ChatContext);
+  const { authUser, onlineUsers, presence, getLastSeen, axios, socket, setBlocked } = useContext(AuthContext);
   const { aiEnabled, setAiEnabled, handleToggleAi } = useContext(AiContext);
 
   const [input, setInput] = useState("");
+  const [editingMessage, setEditingMessage] = useState(null); //own message whose text is being edited in the input
+  const [aiStream, setAiStream] = useState(null); //{ requestId, text } of the AI reply being streamed
+  const [aiContextStart, setAiContextStart] = useState(null); //the AI does not see msgs before this
+  const [aiQuota, setAiQuota] = useState(null); //{ daily, monthly } tokens used and left
+  const [summary, setSummary] = useState(null); //summary panel: { loading } then { text, messageCount, truncated } or { error }
 
   const scrollEnd = useRef(null);
+  const chatArea = useRef(null);
+  const lastMessageId = useRef(null); //to tell new messages apart from older pages being prepended
+  const prevScrollHeight = useRef(null); //scroll height before an older page was prepended
+  const typing = useRef({ target: null, lastSentAt: 0, stopTimer: null }); //our own typing state for the open chat
 
   useEffect(() => {
     // Fetch initial AI status from server
@@ -25,6 +34,54 @@ const ChatContainer = () => {
     });
   }, []);
 
+  // streamed AI replies: the pending prompt is swapped for the saved msgs once the reply is done
+  useEffect(() => {
+    if (!socket) return;
+
+    const settleRequest = (requestId, userMessage, aiMessage) => {
+      setAiStream(prev => prev?.requestId === requestId ? null : prev);
+      setMessages(prev => {
+        // the chat was left in the meantime, it is fetched again when reopened
+        if (!prev.some(msg => msg.pendingId === requestId || (userMessage && msg._id === userMessage._id))) return prev;
+        const next = prev
+          .map(msg => msg.pendingId === requestId ? userMessage : msg)
+          .filter(Boolean);
+        return aiMessage ? [...next, aiMessage] : next;
+      });
+    }
+
+    const handleDelta = ({ requestId, delta }) => {
+      setAiStream(prev => prev?.requestId === requestId ? { ...prev, text: prev.text + delta } : prev);
+    }
+    const handleDone = ({ requestId, userMessage, aiMessage, quota }) => {
+      settleRequest(requestId, userMessage, aiMessage);
+      if (quota) setAiQuota(quota);
+    }
+    const handleError = ({ requestId, message, userMessage, quota }) => {
+      settleRequest(requestId, userMessage, null);
+      if (quota) setAiQuota(quota);
+      toast.error(message);
+    }
+    // the server stops the reply when the socket drops, what was saved shows up on the next fetch
+    const handleDisconnect = () => setAiStream(null);
+
+    socket.on("ai:delta", handleDelta);
+    socket.on("ai:done", handleDone);
+    socket.on("ai:error", handleError);
+    socket.on("disconnect", handleDisconnect);
+    return () => {
+      socket.off("ai:delta", handleDelta);
+      socket.off("ai:done", handleDone);
+      socket.off("ai:error", handleError);
+      socket.off("disconnect", handleDisconnect);
+    };
+  }, [socket, setMessages]);
+
+  useEffect(() => {
+    // follow the AI reply while it grows
+    if (aiStream?.text) scrollEnd.current?.scrollIntoView();
+  }, [aiStream?.text]);
+
 
   // handle send message
   const handleSendMessage = async (e) => {
@@ -37,27 +94,82 @@ const ChatContainer = () => {
     }
 
     const text = input.trim();
+    stopTyping();
+
+    if (editingMessage) {
+      const edited = await editMessage(editingMessage._id, text);
+      if (edited) cancelEditing();
+      return;
+    }
 
     if (selectedUser?._id === import.meta.env.VITE_AI_ASSISTANT_ID) {
-      setInput("");
-      try {
-        if (!aiEnabled) {
-          toast.error("AI is not available at the moment");
-          return;
-        }
-        const response = await askAI(axios, { prompt: text });
-        if (response?.success && response?.userMessage && response?.aiMessage) {
-          setMessages(prev => [...prev, response.userMessage, response.aiMessage]);
-        }
-      } catch (error) {
+      if (!aiEnabled) {
+        toast.error("AI is not available at the moment");
+        return;
+      }
+      if (!socket?.connected) {
         toast.error('AI service unavailable');
+        return;
+      }
+      if (aiStream) {
+        toast.error("Wait for the reply or stop it first");
+        return;
       }
+      setInput("");
+      const requestId = crypto.randomUUID();
+      setAiStream({ requestId, text: "" });
+      setMessages(prev => [...prev, { pendingId: requestId, senderId: authUser._id, text, createdAt: new Date().toISOString() }]);
+      streamAI(socket, { requestId, prompt: text });
       return;
     }
     await sendMessage({ text });
     setInput("");
   }
 
+  //typing indicators: typing:start is re-sent every few seconds while typing (the server expires it),
+  //typing:stop is sent after a pause, on send and when leaving the chat
+  const stopTyping = () => {
+    const state = typing.current;
+    clearTimeout(state.stopTimer);
+    if (state.target && state.lastSentAt) {
+      socket?.emit("typing:stop", state.target);
+    }
+    typing.current = { target: null, lastSentAt: 0, stopTimer: null };
+  }
+
+  const notifyTyping = () => {
+    if (!socket || !selectedUser || selectedUser._id === import.meta.env.VITE_AI_ASSISTANT_ID) return;
+    const state = typing.current;
+    if (!state.target) {
+      state.target = selectedUser.isGroup ? { conversationId: selectedUser._id } : { to: selectedUser._id };
+    }
+    if (Date.now() - state.lastSentAt > 3000) {
+      socket.emit("typing:start", state.target);
+      state.lastSentAt = Date.now();
+    }
+    clearTimeout(state.stopTimer);
+    state.stopTimer = setTimeout(stopTyping, 2000);
+  }
+
+  const handleInputChange = (e) => {
+    setInput(e.target.value);
+    if (!editingMessage && e.target.value) {
+      notifyTyping();
+    } else {
+      stopTyping();
+    }
+  }
+
+  const startEditing = (msg) => {
+    setEditingMessage(msg);
+    setInput(msg.text);
+  }
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setInput("");
+  }
+
   //handle sending an image
   const handleSendImage = async (e) => {
     const file = e.target.files[0];
@@ -67,10 +179,17 @@ const ChatContainer = () => {
       toast.error("Please select a file and user");
       return;
     }
-    const maxSize = 5 * 1024 * 1024; // 5MB in bytes
+    if (settings && !settings.uploadsEnabled) {
+      toast.error("Image uploads are disabled by admin");
+      e.target.value = null;
+      return;
+    }
+    // limits come from the admin settings, the server checks them again
+    const maxSize = settings?.maxUploadSize || 5 * 1024 * 1024;
+    const allowedTypes = settings?.allowedMimeTypes;
     // File validation
-    if (!file.type.startsWith("image/") || file.size > maxSize) {
-      toast.error("Please select a valid image file within 5MB");
+    if (!file.type.startsWith("image/") || (allowedTypes && !allowedTypes.includes(file.type)) || file.size > maxSize) {
+      toast.error(`Please select a valid image file within ${formatFileSize(maxSize)}`);
       e.target.value = null; // Reset input on invalid file
       return;
     }
@@ -101,18 +220,112 @@ const ChatContainer = () => {
   useEffect(() => {
     if (!selectedUser) return;
     // Now AI assistant messages are also stored in DB, so fetch them like regular messages
-    getMessages(selectedUser._id);
-  }, [selectedUser]);
+    getMessages(selectedUser);
+    setEditingMessage(null);
+    setAiContextStart(null);
+    setSummary(null);
+    if (selectedUser._id === import.meta.env.VITE_AI_ASSISTANT_ID) {
+      fetchAiContext(axios).then(data => setAiContextStart(data.contextStartAt)).catch(() => {});
+      fetchAiUsage(axios).then(data => setAiQuota(data.usage)).catch(() => {});
+    }
+    return stopTyping;
+  }, [selectedUser?._id]);
 
   useEffect(() => {
-    // Scroll to bottom when user is selected or messages change
-    if (selectedUser && scrollEnd.current && messages.length) {
+    // Scroll to bottom when user is selected or a new message arrives at the end
+    const latestId = messages[messages.length - 1]?._id;
+    if (selectedUser && scrollEnd.current && messages.length && latestId !== lastMessageId.current) {
       setTimeout(() => {
         scrollEnd.current?.scrollIntoView({ behavior: "smooth" });
       }, 100);
     }
+    lastMessageId.current = latestId;
   }, [selectedUser, messages]);
 
+  useLayoutEffect(() => {
+    // Keep the visible messages in place after an older page is prepended
+    if (prevScrollHeight.current !== null && chatArea.current) {
+      chatArea.current.scrollTop += chatArea.current.scrollHeight - prevScrollHeight.current;
+      prevScrollHeight.current = null;
+    }
+  }, [messages]);
+
+  // load older messages when scrolled to the top
+  const handleScroll = (e) => {
+    if (e.currentTarget.scrollTop > 40 || !nextCursor || loadingOlder) return;
+    prevScrollHeight.current = e.currentTarget.scrollHeight;
+    loadOlderMessages();
+  }
+
+
+  const isGroup = Boolean(selectedUser?.isGroup);
+  const isGroupAdmin = isGroup && selectedUser.admins?.includes(authUser._id);
+  const chatName = isGroup ? selectedUser.name : selectedUser?.fullName;
+  const chatAvatar = (isGroup ? selectedUser.avatar : selectedUser?.profilePic) || assets.avatar_icon;
+  const onlineMembers = isGroup
+    ? selectedUser.members.filter(member => member._id !== authUser._id && onlineUsers.includes(member._id)).length
+    : 0;
+
+  const typingNames = (typingUsers[selectedUser?._id] || [])
+    .map(id => isGroup ? selectedUser.members.find(member => member._id === id)?.fullName : selectedUser.fullName)
+    .filter(Boolean);
+
+  //find the author of a msg, in groups this can be any member
+  const getSender = (msg) => isGroup
+    ? selectedUser.members.find(member => member._id === msg.senderId)
+    : selectedUser;
+
+  const handleRenameGroup = async () => {
+    const name = window.prompt("New group name", selectedUser.name);
+    if (name && name.trim() && name.trim() !== selectedUser.name) {
+      await renameGroup(selectedUser._id, name.trim());
+    }
+  }
+
+  const handleResetAiContext = async () => {
+    if (!window.confirm("Start a new conversation with Alison? Earlier messages stay here but she will not remember them.")) return;
+    try {
+      const data = await resetAiContext(axios);
+      setAiContextStart(data.contextStartAt);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  }
+
+  //the period that ran out first, the AI cannot be used until it resets
+  const aiLimit = ['daily', 'monthly'].find(period => aiQuota?.[period].remaining === 0);
+  //the tighter of the two limits, for the hint above the input
+  const aiRemaining = ['daily', 'monthly']
+    .filter(period => aiQuota?.[period].remaining != null)
+    .map(period => ({ period, ...aiQuota[period] }))
+    .sort((a, b) => a.remaining - b.remaining)[0];
+
+  //msgs the user had not read when the chat was opened, they are marked read on the server by then
+  const firstUnread = !isGroup && messages.find(msg => msg.senderId === selectedUser?._id && !msg.readAt);
+
+  const handleSummarize = async (unreadOnly) => {
+    setSummary({ loading: true });
+    try {
+      const data = await summarizeChat(axios, selectedUser._id, { since: unreadOnly ? firstUnread.createdAt : undefined });
+      if (data.quota) setAiQuota(data.quota);
+      setSummary(data.summary ? { text: data.summary, messageCount: data.messageCount, truncated: data.truncated } : { error: data.message });
+    } catch (error) {
+      if (error.response?.data?.quota) setAiQuota(error.response.data.quota);
+      setSummary({ error: error.response?.data?.message || error.message });
+    }
+  }
+
+  //the first msg after a context reset gets a divider above it
+  const contextDividerIndex = aiContextStart
+    ? messages.findIndex(msg => new Date(msg.createdAt) > new Date(aiContextStart))
+    : -1;
+
+  const handleLeaveGroup = async () => {
+    if (window.confirm(`Leave "${selectedUser.name}"?`)) {
+      await leaveGroup(selectedUser._id);
+    }
+  }
 
   return selectedUser ? (
     <div className='h-full overflow-hidden overscroll-none relative backdrop-blur-lg border border-white/20 rounded-xl sm:border-0 sm:rounded-none'>
@@ -120,25 +333,58 @@ const ChatContainer = () => {
       {/* -------------------HEADER-------------------------------------  */}
   <div className='flex items-center gap-2 py-2 mx-3 border-b border-stone-500'>
         <img
-          src={selectedUser.profilePic || assets.avatar_icon}
-          srcSet={`${selectedUser.profilePic || assets.avatar_icon} 1x, ${selectedUser.profilePic || assets.avatar_icon} 2x`}
+          src={chatAvatar}
+          srcSet={`${chatAvatar} 1x, ${chatAvatar} 2x`}
           alt="userProfile"
           className='w-8 h-8 rounded-full object-cover'
-          onClick={() => window.open(selectedUser.profilePic)}
+          onClick={() => window.open(chatAvatar)}
         />
 
         <div className='flex-1 flex flex-col'>
           <div className='flex-1 text-white text-fluid-base flex items-center gap-2'
-            title={String(selectedUser._id) === String(import.meta.env.VITE_ADMIN_ID) ? "Admin" : ""}>
-            {selectedUser.fullName}
-            {onlineUsers.includes(selectedUser._id) && <span className='w-2 h-2 rounded-full bg-green-500'></span>}
+            title={selectedUser.role === 'admin' ? "Admin" : ""}>
+            {chatName}
+            {isGroup
+              ? onlineMembers > 0 && <span className='w-2 h-2 rounded-full bg-green-500'></span>
+              : onlineUsers.includes(selectedUser._id) && <span className={`w-2 h-2 rounded-full ${presenceColor(presence[selectedUser._id])}`}></span>}
+            {!isGroup && selectedUser._id !== import.meta.env.VITE_AI_ASSISTANT_ID && (
+              <span className='text-fluid-xs text-gray-400'>{formatPresence(presence[selectedUser._id], getLastSeen(selectedUser))}</span>
+            )}
           </div>
-          <span className='text-fluid-sm text-gray-400 italic'>{selectedUser.bio}</span>
+          {typingNames.length > 0 ? (
+            <span className='text-fluid-sm text-green-400 italic'>
+              {isGroup ? `${typingNames.join(', ')} ${typingNames.length > 1 ? 'are' : 'is'} typing…` : `${typingNames[0]} is typing…`}
+            </span>
+          ) : (
+            <span className='text-fluid-sm text-gray-400 italic'>
+              {isGroup
+                ? `${selectedUser.members.length} members${onlineMembers ? `, ${onlineMembers} online` : ''}`
+                : selectedUser.bio}
+            </span>
+          )}
         </div>
 
+        {/* Group actions */}
+        {isGroup && (
+          <div className='flex items-center gap-3 text-white text-sm'>
+            {isGroupAdmin && (
+              <i className="fi fi-rr-edit cursor-pointer" title='Rename group' onClick={handleRenameGroup}></i>
+            )}
+            <i className="fi fi-rr-exit cursor-pointer text-red-400" title='Leave group' onClick={handleLeaveGroup}></i>
+          </div>
+        )}
+
+
+        {selectedUser._id === import.meta.env.VITE_AI_ASSISTANT_ID && (
+          <i className="fi fi-rr-broom text-white cursor-pointer" title='Reset context' onClick={handleResetAiContext}></i>
+        )}
+
+        {!isGroup && aiEnabled && selectedUser._id !== import.meta.env.VITE_AI_ASSISTANT_ID && (
+          <i className="fi fi-rr-sparkles text-white cursor-pointer" title='Summarize' onClick={() => setSummary(summary ? null : {})}></i>
+        )}
 
         {/* Admin-only AI toggle */}
-        {authUser && String(authUser._id) === String(import.meta.env.VITE_ADMIN_ID) && String(selectedUser._id) === String(import.meta.env.VITE_AI_ASSISTANT_ID) && (
+        {authUser?.role === 'admin' && String(selectedUser._id) === String(import.meta.env.VITE_AI_ASSISTANT_ID) && (
           <div className='flex items-center gap-2 text-sm text-white'>
             <button
               className={`px-2 py-1 rounded ${aiEnabled ? 'bg-green-500' : 'bg-gray-600'}`}
@@ -155,66 +401,173 @@ const ChatContainer = () => {
         ></i>
       </div>
 
+      {/* -------------------SUMMARY PANEL, not part of the chat-------------  */}
+      {summary && (
+        <div className='absolute top-14 left-3 right-3 z-10 max-h-[60%] overflow-y-auto bg-gray-900/95 border border-gray-600 rounded-lg p-3 text-fluid-sm text-white'>
+          <div className='flex items-center justify-between mb-2'>
+            <span className='text-gray-300'><i className="fi fi-rr-sparkles mr-1"></i>Summary by Alison</span>
+            <i className="fi fi-br-cross-small cursor-pointer" title='Dismiss' onClick={() => setSummary(null)}></i>
+          </div>
+          {summary.loading ? (
+            <p className='text-gray-400 italic'>Summarizing…</p>
+          ) : summary.text ? (
+            <>
+              <p className='whitespace-pre-wrap'>{summary.text}</p>
+              <p className='text-fluid-xs text-gray-400 mt-2'>
+                From {summary.messageCount} messages{summary.truncated && ', older ones were left out'}
+              </p>
+            </>
+          ) : (
+            <>
+              {summary.error && <p className='text-red-400 mb-2'>{summary.error}</p>}
+              <div className='flex gap-2 text-fluid-xs'>
+                <button type='button' onClick={() => handleSummarize(false)} className='px-3 py-1 rounded-full border border-gray-600 hover:border-gray-400 cursor-pointer'>Whole chat</button>
+                <button type='button' disabled={!firstUnread} onClick={() => handleSummarize(true)}
+                  className='px-3 py-1 rounded-full border border-gray-600 hover:border-gray-400 cursor-pointer disabled:opacity-40 disabled:cursor-default'>
+                  Unread only
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {/* -------------------CHAT AREA-------------------------------------  */}
-      <div className='flex flex-col h-[calc(100%-120px)] overflow-y-scroll p-4 pb-6 space-y-3'>
+      <div ref={chatArea} onScroll={handleScroll} className='flex flex-col h-[calc(100%-120px)] overflow-y-scroll p-4 pb-6 space-y-3'>
+        {loadingOlder && <p className='text-center text-fluid-xs text-gray-400'>Loading older messages...</p>}
         {messages.map((msg, index) => {
           const isCurrentUser = msg.senderId === authUser._id;
+          const sender = isCurrentUser ? authUser : getSender(msg);
           return (
-            <div key={index} className={`flex gap-2 ${isCurrentUser ? 'justify-end' : 'justify-start'}`}>
-              {/* Profile picture for received messages */}
-              {!isCurrentUser && (
-                <img
-                  src={selectedUser?.profilePic || assets.avatar_icon}
-                  alt=""
-                  className='w-8 h-8 rounded-full object-cover flex-shrink-0 mt-auto'
-                />
+            <React.Fragment key={msg._id || msg.pendingId || index}>
+              {index === contextDividerIndex && (
+                <p className='text-center text-fluid-xs text-gray-400 italic'>New conversation · Alison does not remember the messages above</p>
               )}
-
-              <div className={`flex flex-col ${isCurrentUser ? 'items-end' : 'items-start'}`}>
-                {msg.image && (
-                  <img src={msg.image} alt="msgImg" className='max-w-[230px] border border-gray-700 rounded-lg overflow-hidden mb-2 cursor-pointer'
-                    onClick={() => window.open(msg.image)}
+              <div className={`group flex gap-2 ${isCurrentUser ? 'justify-end' : 'justify-start'}`}>
+                {/* Profile picture for received messages */}
+                {!isCurrentUser && (
+                  <img
+                    src={sender?.profilePic || assets.avatar_icon}
+                    alt=""
+                    className='w-8 h-8 rounded-full object-cover flex-shrink-0 mt-auto'
                   />
                 )}
-                {msg.text && (
-                  <div className={`max-w-[280px] p-3 rounded-2xl text-fluid-sm ${isCurrentUser
-                    ? 'bg-[#635FC7] text-white rounded-br-md'
-                    : 'bg-[#8185B2]/20 text-white rounded-bl-md'
-                    }`}>
-                    {msg.text}
-                  </div>
+
+                <div className={`flex flex-col ${isCurrentUser ? 'items-end' : 'items-start'}`}>
+                  {isGroup && !isCurrentUser && (
+                    <p className='text-fluid-xs text-gray-400 mb-1 px-2'>{sender?.fullName || 'Former member'}</p>
+                  )}
+                  {msg.deletedAt && (
+                    <div className='max-w-[280px] p-3 rounded-2xl text-fluid-sm italic text-gray-400 border border-gray-600'>
+                      <i className="fi fi-rr-ban mr-1"></i>This message was deleted
+                    </div>
+                  )}
+                  {msg.image && (
+                    <img src={msg.image} alt="msgImg" className='max-w-[230px] border border-gray-700 rounded-lg overflow-hidden mb-2 cursor-pointer'
+                      onClick={() => window.open(msg.image)}
+                    />
+                  )}
+                  {msg.text && (
+                    <div className={`max-w-[280px] p-3 rounded-2xl text-fluid-sm ${isCurrentUser
+                      ? 'bg-[#635FC7] text-white rounded-br-md'
+                      : 'bg-[#8185B2]/20 text-white rounded-bl-md'
+                      } ${editingMessage?._id === msg._id ? 'ring-2 ring-blue-400' : ''}`}>
+                      {msg.text}
+                    </div>
+                  )}
+                  <p className='text-fluid-xs text-gray-400 mt-1 px-2 flex items-center gap-1'>
+                    {formatTimestamp(msg.createdAt)}
+                    {msg.editedAt && !msg.deletedAt && <span className='italic' title={`Edited ${formatTimestamp(msg.editedAt)}`}> · edited</span>}
+                    {/* Receipts on outgoing direct messages: sent, delivered, read */}
+                    {isCurrentUser && !isGroup && !msg.deletedAt && (
+                      msg.readAt
+                        ? <i className="fi fi-rr-check-double text-blue-400" title={`Read ${formatTimestamp(msg.readAt)}`}></i>
+                        : msg.deliveredAt
+                          ? <i className="fi fi-rr-check-double" title={`Delivered ${formatTimestamp(msg.deliveredAt)}`}></i>
+                          : <i className="fi fi-rr-check" title='Sent'></i>
+                    )}
+                  </p>
+
+                  {/* Message actions, shown on hover */}
+                  {msg._id && !msg.deletedAt && (
+                    <div className='hidden group-hover:flex gap-2 px-2 text-fluid-xs text-gray-400'>
+                      {isCurrentUser && msg.text && (
+                        <span className='cursor-pointer hover:text-white' onClick={() => startEditing(msg)}>Edit</span>
+                      )}
+                      <span className='cursor-pointer hover:text-red-400' onClick={() => deleteMessage(msg._id, "me")}>Delete for me</span>
+                      {isCurrentUser && (
+                        <span className='cursor-pointer hover:text-red-400'
+                          onClick={() => window.confirm("Delete this message for everyone?") && deleteMessage(msg._id, "everyone")}
+                        >Delete for everyone</span>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {/* Profile picture for sent messages */}
+                {isCurrentUser && (
+                  <img
+                    src={authUser?.profilePic || assets.avatar_icon}
+                    alt=""
+                    className='w-8 h-8 rounded-full object-cover flex-shrink-0 mt-auto'
+                  />
                 )}
-                <p className='text-fluid-xs text-gray-400 mt-1 px-2'>{formatTimestamp(msg.createdAt)}</p>
               </div>
-
-              {/* Profile picture for sent messages */}
-              {isCurrentUser && (
-                <img
-                  src={authUser?.profilePic || assets.avatar_icon}
-                  alt=""
-                  className='w-8 h-8 rounded-full object-cover flex-shrink-0 mt-auto'
-                />
-              )}
-            </div>
+            </React.Fragment>
           );
         })}
+        {aiContextStart && contextDividerIndex === -1 && messages.length > 0 && (
+          <p className='text-center text-fluid-xs text-gray-400 italic'>New conversation · Alison does not remember the messages above</p>
+        )}
+        {/* AI reply while it streams in */}
+        {aiStream && selectedUser._id === import.meta.env.VITE_AI_ASSISTANT_ID && (
+          <div className='flex gap-2 justify-start'>
+            <img src={selectedUser.profilePic || assets.avatar_icon} alt="" className='w-8 h-8 rounded-full object-cover flex-shrink-0 mt-auto' />
+            <div className='max-w-[280px] p-3 rounded-2xl text-fluid-sm bg-[#8185B2]/20 text-white rounded-bl-md whitespace-pre-wrap'>
+              {aiStream.text || <span className='italic text-gray-400'>Thinking…</span>}
+              <span className='animate-pulse'>▍</span>
+            </div>
+          </div>
+        )}
         <div ref={scrollEnd} className='h-1'></div>
       </div>
 
       {/* -------------------INPUT AREA-------------------------------------  */}
+      {!selectedUser.isGroup && authUser.blockedUsers?.includes(selectedUser._id) ? (
+        <div className='absolute bottom-0 left-0 right-0 p-4 text-center text-sm text-gray-400'>
+          You blocked this user.{' '}
+          <button type='button' onClick={() => setBlocked(selectedUser._id, false)} className='underline cursor-pointer'>Unblock</button>
+        </div>
+      ) : selectedUser._id === import.meta.env.VITE_AI_ASSISTANT_ID && aiLimit && !aiStream ? (
+        <div className='absolute bottom-0 left-0 right-0 p-4 text-center text-sm text-red-400'>
+          You reached your {aiLimit} AI limit. It resets {formatTimestamp(aiQuota[aiLimit].resetsAt)}.
+        </div>
+      ) : (
       <div className='absolute bottom-0 left-0 right-0 flex items-center gap-3 p-3'>
+        {!editingMessage && selectedUser._id === import.meta.env.VITE_AI_ASSISTANT_ID && aiRemaining && (
+          <div className='absolute -top-5 left-6 text-fluid-xs text-gray-400' title={`${aiRemaining.used} of ${aiRemaining.limit} tokens used`}>
+            {formatTokens(aiRemaining.remaining)} AI tokens left {aiRemaining.period === 'daily' ? 'today' : 'this month'}
+          </div>
+        )}
+        {editingMessage && (
+          <div className='absolute -top-5 left-6 flex items-center gap-2 text-fluid-xs text-blue-300'>
+            Editing message
+            <i className="fi fi-br-cross-small cursor-pointer" title='Cancel' onClick={cancelEditing}></i>
+          </div>
+        )}
         <div className='flex items-center flex-1 px-3 rounded-full'>
           <input
             type="text"
             placeholder='Type a message...'
             className='flex-1 text-sm p-3 border-none rounded-lg outline-none text-white placeholder-gray-400'
-            onChange={(e) => setInput(e.target.value)}
+            onChange={handleInputChange}
             value={input}
             onKeyDown={(e) => {
               e.key === "Enter" && handleSendMessage(e);
+              e.key === "Escape" && editingMessage && cancelEditing();
             }}
           />
-          <input type="file" id="image" accept='image/png, image/jpeg' hidden
+          <input type="file" id="image" accept={settings?.allowedMimeTypes.join(', ') || 'image/png, image/jpeg'} hidden
             disabled={selectedUser._id === import.meta.env.VITE_AI_ASSISTANT_ID}
             onChange={(e) => handleSendImage(e)}
           />
@@ -230,11 +583,18 @@ const ChatContainer = () => {
           </label>
 
         </div>
-        <i className="fi fi-ss-paper-plane-top text-white cursor-pointer"
-          onClick={(e) => handleSendMessage(e)}
-        ></i>
+        {aiStream && selectedUser._id === import.meta.env.VITE_AI_ASSISTANT_ID ? (
+          <i className="fi fi-rr-stop-circle text-white cursor-pointer" title='Stop generating'
+            onClick={() => cancelAIStream(socket, aiStream.requestId)}
+          ></i>
+        ) : (
+          <i className="fi fi-ss-paper-plane-top text-white cursor-pointer"
+            onClick={(e) => handleSendMessage(e)}
+          ></i>
+        )}
 
       </div>
+      )}
 
     </div>
   ) :
@@ -0,0 +1,58 @@
+import React, { useContext, useState } from 'react'
+import toast from 'react-hot-toast';
+import { assets } from '../assets/assets';
+import { ChatContext } from '../../context/ChatContext';
+
+const CreateGroup = ({ users, onClose }) => {
+    const { createGroup, setSelectedUser } = useContext(ChatContext);
+    const [name, setName] = useState("");
+    const [memberIds, setMemberIds] = useState([]);
+
+    const toggleMember = (userId) => {
+        setMemberIds(prev => prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]);
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) {
+            toast.error("Please enter a group name");
+            return;
+        }
+        if (memberIds.length === 0) {
+            toast.error("Please select at least one member");
+            return;
+        }
+        const group = await createGroup(name.trim(), memberIds);
+        if (group) {
+            setSelectedUser({ ...group, isGroup: true });
+            onClose();
+        }
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className='mx-2 my-2 p-3 rounded-lg bg-gray-800/70 border border-gray-700/50 space-y-2'>
+            <input
+                type="text"
+                placeholder='Group name'
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className='w-full bg-gray-900/50 rounded-full py-1.5 px-3 text-xs placeholder:text-gray-400 border border-gray-700/50 focus:outline-none focus:border-blue-500/50'
+            />
+            <div className='max-h-40 overflow-y-auto space-y-1'>
+                {users.map(user => (
+                    <label key={user._id} className='flex items-center gap-2 text-xs cursor-pointer px-1'>
+                        <input type="checkbox" checked={memberIds.includes(user._id)} onChange={() => toggleMember(user._id)} />
+                        <img src={user.profilePic || assets.avatar_icon} alt="" className='w-5 h-5 rounded-full object-cover' />
+                        <span className='truncate'>{user.fullName}</span>
+                    </label>
+                ))}
+            </div>
+            <div className='flex gap-2 justify-end'>
+                <button type='button' onClick={onClose} className='text-xs px-3 py-1 rounded-full border border-gray-600 cursor-pointer'>Cancel</button>
+                <button type='submit' className='text-xs px-3 py-1 rounded-full bg-blue-500 cursor-pointer'>Create</button>
+            </div>
+        </form>
+    )
+}
+
+export default CreateGroup
@@ -1,14 +1,47 @@
 import React, { useContext, useEffect } from 'react'
 import avatar_icon from '../assets/avatar.png'
 import { assets } from '../assets/assets'
+import { formatPresence, presenceColor } from '../lib/utils'
 import { ChatContext } from '../../context/ChatContext'
 import { AuthContext } from '../../context/AuthContext'
 
 const RightSidebar = () => {
 
-  const { selectedUser, messages } = useContext(ChatContext)
-  const { logout, onlineUsers, authUser } = useContext(AuthContext);
+  const { selectedUser, messages, users, addGroupMembers, removeGroupMember, leaveGroup, deleteConversation, removeContact } = useContext(ChatContext)
+  const { logout, onlineUsers, presence, getLastSeen, authUser, setBlocked, setMuted } = useContext(AuthContext);
   const [msgImages, setMsgImages] = React.useState([]);
+  const [newMemberId, setNewMemberId] = React.useState("");
+
+  const isGroup = Boolean(selectedUser?.isGroup);
+  const isGroupAdmin = isGroup && selectedUser.admins?.includes(authUser._id);
+  const isBlocked = !isGroup && authUser.blockedUsers?.includes(selectedUser?._id);
+  const isMuted = !isGroup && authUser.mutedUsers?.includes(selectedUser?._id);
+  const isContact = !isGroup && selectedUser?._id !== import.meta.env.VITE_AI_ASSISTANT_ID && users.some(user => user._id === selectedUser?._id);
+  const nonMembers = isGroup ? users.filter(user => !selectedUser.members.some(member => member._id === user._id)) : [];
+
+  const handleDeleteConversation = async () => {
+    if (window.confirm(`Delete your conversation with ${selectedUser.fullName}? This only removes it for you.`)) {
+      await deleteConversation(selectedUser._id);
+    }
+  }
+
+  const handleRemoveContact = () => {
+    if (window.confirm(`Remove ${selectedUser.fullName} from your contacts? New messages from them will show up as a request.`)) {
+      removeContact(selectedUser._id);
+    }
+  }
+
+  const handleBlock = () => {
+    if (isBlocked || window.confirm(`Block ${selectedUser.fullName}? They will not be able to message you or see when you are online.`)) {
+      setBlocked(selectedUser._id, !isBlocked);
+    }
+  }
+
+  const handleAddMember = async () => {
+    if (!newMemberId) return;
+    await addGroupMembers(selectedUser._id, [newMemberId]);
+    setNewMemberId("");
+  }
 
   //get all images from messages exchanged between current user and selected user
   useEffect(() => {
@@ -18,6 +51,9 @@ const RightSidebar = () => {
           // Only include messages with images
           if (!msg.image) return false;
 
+          // Group messages belong to the selected conversation
+          if (isGroup) return msg.conversationId === selectedUser._id;
+
           // Only include messages between the two users in conversation
           const isBetweenUsers =
             (msg.senderId === authUser._id && msg.receiverId === selectedUser._id) ||
@@ -31,23 +67,60 @@ const RightSidebar = () => {
     } else {
       setMsgImages([]);
     }
-  }, [messages, selectedUser, authUser]);
+  }, [messages, selectedUser, authUser, isGroup]);
 
   return selectedUser && (
-    <div className={`bg-black/30 backdrop-blur-sm h-full overflow-y-auto text-white ${selectedUser ? "max-md:hidden" : "hidden"}`}>
+    <div className={`relative bg-black/30 backdrop-blur-sm h-full overflow-y-auto text-white ${selectedUser ? "max-xl:hidden" : "hidden"}`}>
       {/* -------------Profile Section------------------------------------ */}
       <div className='flex flex-col items-center p-4 text-center border-b border-gray-700/30'>
-        <img src={selectedUser?.profilePic || assets.avatar_icon} alt="userProfile"
+        <img src={(isGroup ? selectedUser.avatar : selectedUser?.profilePic) || assets.avatar_icon} alt="userProfile"
           className='w-16 h-16 rounded-full object-cover border-2 border-gray-600' />
         <h2 className='text-white text-lg font-medium mt-3 flex items-center justify-center gap-2'>
-          {onlineUsers.includes(selectedUser._id) && <span className='w-2 h-2 rounded-full bg-green-500'></span>}
-          {selectedUser?.fullName}
+          {onlineUsers.includes(selectedUser._id) && <span className={`w-2 h-2 rounded-full ${presenceColor(presence[selectedUser._id])}`}></span>}
+          {isGroup ? selectedUser.name : selectedUser?.fullName}
         </h2>
+        {!isGroup && (
+          <p className='text-gray-400 text-xs mt-1'>{formatPresence(presence[selectedUser._id], getLastSeen(selectedUser))}</p>
+        )}
         <p className='text-gray-400 text-xs mt-1 px-2 leading-relaxed'>
-          {selectedUser?.bio || "Hey there! I am using Chatspace."}
+          {isGroup ? `${selectedUser.members.length} members` : selectedUser?.bio || "Hey there! I am using Chatspace."}
         </p>
       </div>
 
+      {/*----------------------------- Members Section (groups)----------------------- */}
+      {isGroup && (
+        <div className='p-4 border-b border-gray-700/30'>
+          <h3 className='text-white text-sm font-medium mb-3'>Members</h3>
+          <div className='space-y-2 max-h-[180px] overflow-y-auto'>
+            {selectedUser.members.map(member => (
+              <div key={member._id} className='flex items-center gap-2 text-xs'>
+                <img src={member.profilePic || assets.avatar_icon} alt="" className='w-6 h-6 rounded-full object-cover' />
+                <span className='flex-1 truncate'>
+                  {member._id === authUser._id ? 'You' : member.fullName}
+                  {selectedUser.admins.includes(member._id) && <span className='text-gray-400'> (admin)</span>}
+                </span>
+                {onlineUsers.includes(member._id) && <span className={`w-2 h-2 rounded-full ${presenceColor(presence[member._id])}`}></span>}
+                {isGroupAdmin && member._id !== authUser._id && (
+                  <i className="fi fi-rr-cross-small text-red-400 cursor-pointer" title='Remove member'
+                    onClick={() => removeGroupMember(selectedUser._id, member._id)}
+                  ></i>
+                )}
+              </div>
+            ))}
+          </div>
+          {isGroupAdmin && nonMembers.length > 0 && (
+            <div className='flex items-center gap-2 mt-3'>
+              <select value={newMemberId} onChange={(e) => setNewMemberId(e.target.value)}
+                className='flex-1 bg-gray-800/50 rounded-full py-1 px-2 text-xs border border-gray-700/50'>
+                <option value="">Add member...</option>
+                {nonMembers.map(user => <option key={user._id} value={user._id}>{user.fullName}</option>)}
+              </select>
+              <button className='text-xs px-3 py-1 rounded-full bg-blue-500 cursor-pointer' onClick={handleAddMember}>Add</button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/*----------------------------- Media Section----------------------- */}
       <div className='p-4'>
         <div className='flex items-center justify-between mb-3'>
@@ -75,10 +148,38 @@ const RightSidebar = () => {
         <div className='space-y-2'>
 
 
-          <div className='flex items-center gap-3 p-2 rounded-lg hover:bg-red-500/20 cursor-pointer transition-colors'>
-            <i className="fi fi-rr-trash text-red-400 text-sm"></i>
-            <span className='text-sm text-red-400'>Delete conversation</span>
-          </div>
+          {isGroup ? (
+            <div className='flex items-center gap-3 p-2 rounded-lg hover:bg-red-500/20 cursor-pointer transition-colors'
+              onClick={() => window.confirm(`Leave "${selectedUser.name}"?`) && leaveGroup(selectedUser._id)}>
+              <i className="fi fi-rr-exit text-red-400 text-sm"></i>
+              <span className='text-sm text-red-400'>Leave group</span>
+            </div>
+          ) : (
+            <>
+            <div className='flex items-center gap-3 p-2 rounded-lg hover:bg-gray-500/20 cursor-pointer transition-colors'
+              onClick={() => setMuted(selectedUser._id, !isMuted)}>
+              <i className={`fi ${isMuted ? 'fi-rr-bell' : 'fi-rr-bell-slash'} text-gray-300 text-sm`}></i>
+              <span className='text-sm text-gray-300'>{isMuted ? 'Unmute' : 'Mute'} notifications</span>
+            </div>
+            {isContact && (
+              <div className='flex items-center gap-3 p-2 rounded-lg hover:bg-gray-500/20 cursor-pointer transition-colors'
+                onClick={handleRemoveContact}>
+                <i className="fi fi-rr-delete-user text-gray-300 text-sm"></i>
+                <span className='text-sm text-gray-300'>Remove contact</span>
+              </div>
+            )}
+            <div className='flex items-center gap-3 p-2 rounded-lg hover:bg-red-500/20 cursor-pointer transition-colors'
+              onClick={handleBlock}>
+              <i className="fi fi-rr-ban text-red-400 text-sm"></i>
+              <span className='text-sm text-red-400'>{isBlocked ? 'Unblock' : 'Block'} {selectedUser.fullName}</span>
+            </div>
+            <div className='flex items-center gap-3 p-2 rounded-lg hover:bg-red-500/20 cursor-pointer transition-colors'
+              onClick={handleDeleteConversation}>
+              <i className="fi fi-rr-trash text-red-400 text-sm"></i>
+              <span className='text-sm text-red-400'>Delete conversation</span>
+            </div>
+            </>
+          )}
 
           <button className='absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-gradient-to-r from-purple-400 to-violet-600 text-white text-sm px-20 py-2 rounded-full cursor-pointer'
             onClick={logout}>
@@ -0,0 +1,64 @@
+import React, { useContext, useState } from 'react'
+import toast from 'react-hot-toast';
+import { AuthContext } from '../../context/AuthContext';
+import TwoFactorSettings from './TwoFactorSettings';
+
+const inputClass = 'w-full bg-gray-800/50 rounded-full py-2 px-3 text-fluid-sm placeholder:text-gray-400 border border-gray-700/50 focus:outline-none focus:border-blue-500/50 transition-colors';
+const buttonClass = 'self-start text-xs px-4 py-1.5 rounded-full bg-blue-500 text-white cursor-pointer';
+
+//change password and change email, both need the current password, and two-factor auth
+const SecuritySettings = () => {
+    const { authUser, changePassword, changeEmail } = useContext(AuthContext);
+    const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirm: '' });
+    const [emailForm, setEmailForm] = useState({ newEmail: '', currentPassword: '' });
+
+    const handlePasswordSubmit = async (e) => {
+        e.preventDefault();
+        if (passwordForm.newPassword !== passwordForm.confirm) {
+            toast.error('Passwords do not match');
+            return;
+        }
+        const result = await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+        if (result.success) {
+            setPasswordForm({ currentPassword: '', newPassword: '', confirm: '' });
+        }
+    }
+
+    const handleEmailSubmit = async (e) => {
+        e.preventDefault();
+        const result = await changeEmail(emailForm.newEmail.trim(), emailForm.currentPassword);
+        if (result.success) {
+            setEmailForm({ newEmail: '', currentPassword: '' });
+        }
+    }
+
+    return (
+        <div className='flex flex-col gap-5 p-10 pt-0'>
+            <h3 className='text-fluid-lg'>Security</h3>
+
+            <form onSubmit={handlePasswordSubmit} className='flex flex-col gap-2'>
+                <p className='text-sm text-gray-400'>Change password</p>
+                <input type="password" placeholder='Current password' autoComplete='current-password' className={inputClass} required
+                    value={passwordForm.currentPassword} onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })} />
+                <input type="password" placeholder='New password (letters and numbers, 8+ characters)' autoComplete='new-password' className={inputClass} required minLength={8}
+                    value={passwordForm.newPassword} onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })} />
+                <input type="password" placeholder='Confirm new password' autoComplete='new-password' className={inputClass} required minLength={8}
+                    value={passwordForm.confirm} onChange={(e) => setPasswordForm({ ...passwordForm, confirm: e.target.value })} />
+                <button type='submit' className={buttonClass}>Change password</button>
+            </form>
+
+            <form onSubmit={handleEmailSubmit} className='flex flex-col gap-2'>
+                <p className='text-sm text-gray-400'>Change email <span className='text-xs'>(currently {authUser?.email})</span></p>
+                <input type="email" placeholder='New email' className={inputClass} required
+                    value={emailForm.newEmail} onChange={(e) => setEmailForm({ ...emailForm, newEmail: e.target.value })} />
+                <input type="password" placeholder='Current password' autoComplete='current-password' className={inputClass} required
+                    value={emailForm.currentPassword} onChange={(e) => setEmailForm({ ...emailForm, currentPassword: e.target.value })} />
+                <button type='submit' className={buttonClass}>Send confirmation link</button>
+            </form>
+
+            <TwoFactorSettings />
+        </div>
+    )
+}
+
+export default SecuritySettings
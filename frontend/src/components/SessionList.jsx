@@ -0,0 +1,59 @@
+import React, { useContext, useEffect, useState } from 'react'
+import { AuthContext } from '../../context/AuthContext';
+import { formatListTime } from '../lib/utils';
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad/.test(userAgent);
+
+//devices the user is logged in on, each can be logged out
+const SessionList = () => {
+    const { getSessions, endSession, logoutEverywhere } = useContext(AuthContext);
+    const [sessions, setSessions] = useState([]);
+
+    useEffect(() => {
+        getSessions().then(setSessions);
+        // only on mount, the list is updated locally when a session ends
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const handleEnd = async (session) => {
+        if (await endSession(session)) {
+            setSessions(prev => prev.filter(s => s._id !== session._id));
+        }
+    }
+
+    const handleLogoutEverywhere = () => {
+        if (window.confirm('Log out of every device, including this one?')) {
+            logoutEverywhere();
+        }
+    }
+
+    return (
+        <div className='flex flex-col gap-3 p-10 pt-0'>
+            <div className='flex items-center justify-between'>
+                <h3 className='text-fluid-lg'>Active sessions</h3>
+                <button type='button' onClick={handleLogoutEverywhere} className='text-xs px-3 py-1 rounded-full border border-red-500/60 text-red-400 hover:border-red-400 cursor-pointer'>
+                    Log out everywhere
+                </button>
+            </div>
+            {sessions.map(session => (
+                <div key={session._id} className='flex items-center gap-3 text-sm bg-gray-800/50 rounded-lg px-3 py-2 border border-gray-700/50'>
+                    <i className={`fi ${isMobile(session.userAgent) ? 'fi-rr-mobile' : 'fi-rr-computer'} text-lg`}></i>
+                    <div className='flex-1 min-w-0'>
+                        <p className='truncate'>
+                            {session.device}
+                            {session.current && <span className='text-xs text-green-400'> · this device</span>}
+                        </p>
+                        <p className='text-xs text-gray-400 truncate'>
+                            {session.ip || 'Unknown IP'} · signed in {formatListTime(session.createdAt)} · active {formatListTime(session.lastActiveAt)}
+                        </p>
+                    </div>
+                    <button type='button' title='Log out this device' onClick={() => handleEnd(session)} className='cursor-pointer text-gray-400 hover:text-red-400'>
+                        <i className='fi fi-rr-sign-out-alt'></i>
+                    </button>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default SessionList
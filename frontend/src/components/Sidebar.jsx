@@ -1,25 +1,39 @@
 import React, { useRef, useEffect, useContext, useState } from 'react'
 import { useNavigate } from 'react-router-dom';
 import { assets } from '../assets/assets';
+import { formatLastMessage, formatListTime, formatPresence, presenceColor } from '../lib/utils';
 import { AuthContext } from '../../context/AuthContext';
 import { ChatContext } from '../../context/ChatContext';
 import { AiContext } from '../../context/AiContext';
+import CreateGroup from './CreateGroup';
+
+const statusOptions = [
+    { value: 'online', label: 'Online' },
+    { value: 'away', label: 'Away' },
+    { value: 'busy', label: 'Busy' },
+    { value: 'invisible', label: 'Invisible' },
+];
 
 const Sidebar = () => {
-    const { selectedUser, users, getUsers, setSelectedUser, unseenMessages, setUnseenMessages } = useContext(ChatContext);
+    const { selectedUser, users, requests, groups, getUsers, getGroups, setSelectedUser, unseenMessages, setUnseenMessages, searchUsers, addContact, deleteConversation } = useContext(ChatContext);
     const { authUser } = useContext(AuthContext);
     const [hide, setHide] = useState(false);
-    const { logout, onlineUsers } = useContext(AuthContext);
+    const { logout, onlineUsers, presence, getLastSeen, updateStatus } = useContext(AuthContext);
     const { aiEnabled } = useContext(AiContext);
 
     const [searchTerm, setSearchTerm] = useState("");
+    const [creatingGroup, setCreatingGroup] = useState(false);
+    const [people, setPeople] = useState([]); //search results that are not contacts yet
 
     const dropdownRef = useRef(null);
     const navigate = useNavigate();
 
     // Separate AI Assistant from regular users
     const aiAssistant = users.find(user => user._id === import.meta.env.VITE_AI_ASSISTANT_ID);
-    const regularUsers = users.filter(user => user._id !== import.meta.env.VITE_AI_ASSISTANT_ID);
+    // Most recent conversations first, contacts without messages keep the server order
+    const regularUsers = users
+        .filter(user => user._id !== import.meta.env.VITE_AI_ASSISTANT_ID)
+        .sort((a, b) => new Date(b.lastActivity || 0) - new Date(a.lastActivity || 0));
 
     const filteredUsers = searchTerm
         ? regularUsers.filter(user =>
@@ -27,11 +41,58 @@ const Sidebar = () => {
         )
         : regularUsers;
 
+    const filteredRequests = searchTerm
+        ? requests.filter(user =>
+            user.fullName.toLowerCase().includes(searchTerm.toLowerCase())
+        )
+        : requests;
+
+    const filteredGroups = searchTerm
+        ? groups.filter(group =>
+            group.name.toLowerCase().includes(searchTerm.toLowerCase())
+        )
+        : groups;
+
 
     useEffect(() => {
         getUsers();
     }, [onlineUsers]);
 
+    useEffect(() => {
+        getGroups();
+        // only the first load, group changes arrive over the socket
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    // look for new people once the search has 2+ characters, after typing stops
+    useEffect(() => {
+        const query = searchTerm.trim();
+        if (query.length < 2) {
+            setPeople([]);
+            return;
+        }
+        const timer = setTimeout(() => {
+            searchUsers(query).then(results => setPeople(results.filter(user => !user.isContact)));
+        }, 300);
+        return () => clearTimeout(timer);
+        // searchUsers only reads axios, so the current one is fine
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [searchTerm]);
+
+    const handleAddContact = async (user) => {
+        const contact = await addContact(user);
+        if (contact) {
+            setPeople(prev => prev.filter(person => person._id !== user._id));
+            setSelectedUser(contact);
+        }
+    }
+
+    const handleDeclineRequest = (user) => {
+        if (window.confirm(`Decline the message request from ${user.fullName}? Their messages will be deleted for you.`)) {
+            deleteConversation(user._id);
+        }
+    }
+
     const handleClickOutside = (event) => {
         if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
             setHide(false);
@@ -57,11 +118,28 @@ const Sidebar = () => {
                         <img src={authUser?.profilePic || assets.avatar_icon} alt="" className='w-8 h-8 rounded-full object-cover cursor-pointer border border-gray-600'
                             onClick={() => setHide(!hide)}
                         />
+                        <div className={`absolute bottom-0 right-0 w-2.5 h-2.5 rounded-full border border-gray-800 ${authUser?.status === 'invisible' ? 'bg-gray-500' : presenceColor(presence[authUser?._id] || authUser?.status)}`}></div>
                         <div className={`absolute top-full right-0 z-20 w-28 p-2 rounded-lg bg-gray-800/90 backdrop-blur-sm border border-gray-600 text-gray-100 shadow-lg ${hide ? 'block' : 'hidden'}`}
                         >
                             <p className='cursor-pointer text-xs py-1 hover:text-blue-400 transition-colors'
                                 onClick={() => navigate('/profile')}
                             >Edit Profile : {authUser.fullName}</p>
+                            {authUser?.role === 'admin' && (
+                                <p className='cursor-pointer text-xs py-1 hover:text-blue-400 transition-colors'
+                                    onClick={() => navigate('/admin')}
+                                >Admin dashboard</p>
+                            )}
+                            <hr className='my-1 border-gray-600' />
+                            {/* presence status picker */}
+                            {statusOptions.map(option => (
+                                <p key={option.value}
+                                    className={`cursor-pointer text-xs py-1 flex items-center gap-2 hover:text-blue-400 transition-colors ${(authUser?.status || 'online') === option.value ? 'text-blue-400' : ''}`}
+                                    onClick={() => updateStatus(option.value)}
+                                >
+                                    <span className={`w-2 h-2 rounded-full ${presenceColor(option.value)}`}></span>
+                                    {option.label}
+                                </p>
+                            ))}
                             <hr className='my-1 border-gray-600' />
                             <p className='cursor-pointer text-xs py-1 hover:text-red-400 transition-colors'
                                 onClick={() => logout()}
@@ -75,7 +153,7 @@ const Sidebar = () => {
                     <i className="fi fi-rr-search absolute left-2 top-1/2 transform -translate-y-1/2 text-gray-400 text-xs"></i>
                     <input
                         type="text"
-                        placeholder='Search User...'
+                        placeholder='Search chats or find people...'
                         className='w-full bg-gray-800/50 rounded-full py-2 pl-8 pr-3 text-xs placeholder:text-gray-400 border border-gray-700/50 focus:outline-none focus:border-blue-500/50 transition-colors'
                         onChange={(e) => setSearchTerm(e.target.value)}
                     />
@@ -107,14 +185,89 @@ const Sidebar = () => {
                     </div>
                 )}
 
-                {/*-------------------users--------------------------------------------------------- */}
-                {filteredUsers.map((user, index) => (
+                {/*-------------------groups-------------------------------------------------------- */}
+                <div className='flex items-center justify-between px-4 pt-2 pb-1 text-xs text-gray-400'>
+                    <span>Groups</span>
+                    <i className="fi fi-rr-users-medical cursor-pointer hover:text-white" title='New group'
+                        onClick={() => setCreatingGroup(!creatingGroup)}
+                    ></i>
+                </div>
+                {creatingGroup && <CreateGroup users={regularUsers} onClose={() => setCreatingGroup(false)} />}
+                {filteredGroups.map((group) => {
+                    const onlineMembers = group.members.filter(member => member._id !== authUser._id && onlineUsers.includes(member._id)).length;
+                    return (
+                        <div
+                            onClick={() => {
+                                setSelectedUser(group);
+                                setUnseenMessages(prev => ({ ...prev, [group._id]: 0 }));
+                            }}
+                            key={group._id}
+                            className={`relative flex items-center gap-2 p-2 mx-2 my-0.5 rounded-lg cursor-pointer hover:bg-gray-700/30 transition-all duration-200 ${selectedUser?._id === group._id ? "bg-blue-500/20 border-l-4 border-blue-500" : ""
+                                }`}
+                        >
+                            <img
+                                src={group.avatar || assets.avatar_icon}
+                                alt="groupAvatar"
+                                className='w-10 h-10 rounded-full object-cover border border-gray-600' />
+
+                            <div className='flex-1 min-w-0'>
+                                <div className='flex items-center justify-between'>
+                                    <p className='font-medium text-sm truncate'>{group.name}</p>
+                                    {unseenMessages[group._id] > 0 && (
+                                        <span className='bg-blue-500 text-white text-xs px-1.5 py-0.5 rounded-full min-w-[18px] text-center leading-none'>
+                                            {unseenMessages[group._id]}
+                                        </span>
+                                    )}
+                                </div>
+                                <p className='text-xs text-gray-400'>
+                                    {group.members.length} members{onlineMembers > 0 && <span className='text-green-400'>, {onlineMembers} online</span>}
+                                </p>
+                            </div>
+                        </div>
+                    );
+                })}
+
+                {/*-------------------message requests----------------------------------------------- */}
+                {filteredRequests.length > 0 && (
+                    <div className='px-4 pt-2 pb-1 text-xs text-gray-400'>Message requests</div>
+                )}
+                {filteredRequests.map((user) => (
+                    <div
+                        onClick={() => {
+                            setSelectedUser(user);
+                            setUnseenMessages(prev => ({ ...prev, [user._id]: 0 }));
+                        }}
+                        key={user._id}
+                        className={`relative flex items-center gap-2 p-2 mx-2 my-0.5 rounded-lg cursor-pointer hover:bg-gray-700/30 transition-all duration-200 ${selectedUser?._id === user._id ? "bg-blue-500/20 border-l-4 border-blue-500" : ""}`}
+                    >
+                        <img src={user.profilePic || assets.avatar_icon} alt="userProfile" className='w-10 h-10 rounded-full object-cover border border-gray-600' />
+                        <div className='flex-1 min-w-0'>
+                            <p className='font-medium text-sm truncate'>{user.fullName}</p>
+                            <p className={`text-xs truncate ${unseenMessages[user._id] > 0 ? 'text-white font-medium' : 'text-gray-400'}`}>
+                                {formatLastMessage(user.lastMessage, authUser._id)}
+                            </p>
+                        </div>
+                        <i className="fi fi-rr-check text-green-400 hover:text-green-300 text-sm" title='Accept'
+                            onClick={(e) => { e.stopPropagation(); addContact(user); }}
+                        ></i>
+                        <i className="fi fi-rr-cross-small text-red-400 hover:text-red-300 text-sm" title='Decline'
+                            onClick={(e) => { e.stopPropagation(); handleDeclineRequest(user); }}
+                        ></i>
+                    </div>
+                ))}
+
+                {/*-------------------contacts--------------------------------------------------------- */}
+                <div className='px-4 pt-2 pb-1 text-xs text-gray-400'>Contacts</div>
+                {filteredUsers.length === 0 && !searchTerm && (
+                    <p className='px-4 py-1 text-xs text-gray-500'>Search for people to start a conversation</p>
+                )}
+                {filteredUsers.map((user) => (
                     <div
                         onClick={() => {
                             setSelectedUser(user);
                             setUnseenMessages(prev => ({ ...prev, [user._id]: 0 }));
                         }}
-                        key={index}
+                        key={user._id}
                         className={`relative flex items-center gap-2 p-2 mx-2 my-0.5 rounded-lg cursor-pointer hover:bg-gray-700/30 transition-all duration-200 ${selectedUser?._id === user._id ? "bg-blue-500/20 border-l-4 border-blue-500" : ""
                             }`}
                     >
@@ -124,26 +277,53 @@ const Sidebar = () => {
                                 srcSet={`${user?.profilePic || assets.avatar_icon} 1x, ${user?.profilePic || assets.avatar_icon} 2x`}
                                 alt="userProfile"
                                 className='w-10 h-10 rounded-full object-cover border border-gray-600' />
-                            <div className={`absolute bottom-0 right-0 w-3 h-3 rounded-full border border-gray-800 ${onlineUsers.includes(user._id) ? 'bg-green-500' : 'bg-gray-500'
-                                }`}></div>
+                            <div className={`absolute bottom-0 right-0 w-3 h-3 rounded-full border border-gray-800 ${presenceColor(presence[user._id])}`}></div>
                         </div>
 
                         <div className='flex-1 min-w-0'>
                             <div className='flex items-center justify-between'
-                                title={String(user._id) === String(import.meta.env.VITE_ADMIN_ID) ? "Admin" : ""}>
+                                title={user.role === 'admin' ? "Admin" : ""}>
                                 <p className='font-medium text-sm truncate'>{user.fullName}</p>
-                                {unseenMessages[user._id] > 0 && (
+                                <span className='text-[10px] text-gray-400 flex-shrink-0 ml-2'>{formatListTime(user.lastActivity)}</span>
+                            </div>
+                            <div className='flex items-center justify-between gap-2'>
+                                {user.lastMessage ? (
+                                    <p className={`text-xs truncate ${unseenMessages[user._id] > 0 && !authUser.mutedUsers?.includes(user._id) ? 'text-white font-medium' : 'text-gray-400'}`}>
+                                        {formatLastMessage(user.lastMessage, authUser._id)}
+                                    </p>
+                                ) : (
+                                    <p className={`text-xs truncate ${onlineUsers.includes(user._id) ? 'text-green-400' : 'text-gray-400'}`}>
+                                        {formatPresence(presence[user._id], getLastSeen(user))}
+                                    </p>
+                                )}
+                                {authUser.mutedUsers?.includes(user._id) ? (
+                                    <i className='fi fi-rr-bell-slash text-gray-500 text-xs flex-shrink-0' title='Muted'></i>
+                                ) : unseenMessages[user._id] > 0 && (
                                     <span className='bg-blue-500 text-white text-xs px-1.5 py-0.5 rounded-full min-w-[18px] text-center leading-none'>
                                         {unseenMessages[user._id]}
                                     </span>
                                 )}
                             </div>
-                            <p className={`text-xs ${onlineUsers.includes(user._id) ? 'text-green-400' : 'text-gray-400'}`}>
-                                {onlineUsers.includes(user._id) ? 'Online' : 'Offline'}
-                            </p>
                         </div>
                     </div>
                 ))}
+
+                {/*-------------------people from search------------------------------------------------ */}
+                {people.length > 0 && (
+                    <div className='px-4 pt-2 pb-1 text-xs text-gray-400'>People</div>
+                )}
+                {people.map((user) => (
+                    <div key={user._id} className='flex items-center gap-2 p-2 mx-2 my-0.5 rounded-lg'>
+                        <img src={user.profilePic || assets.avatar_icon} alt="userProfile" className='w-10 h-10 rounded-full object-cover border border-gray-600' />
+                        <div className='flex-1 min-w-0'>
+                            <p className='font-medium text-sm truncate'>{user.fullName}</p>
+                            <p className='text-xs text-gray-400 truncate'>{user.bio}</p>
+                        </div>
+                        <i className="fi fi-rr-user-add text-blue-400 hover:text-blue-300 cursor-pointer text-sm" title='Add contact'
+                            onClick={() => handleAddContact(user)}
+                        ></i>
+                    </div>
+                ))}
             </div>
         </div>
     )
@@ -0,0 +1,89 @@
+import React, { useContext, useState } from 'react'
+import { AuthContext } from '../../context/AuthContext';
+
+const inputClass = 'w-full bg-gray-800/50 rounded-full py-2 px-3 text-fluid-sm placeholder:text-gray-400 border border-gray-700/50 focus:outline-none focus:border-blue-500/50 transition-colors';
+const buttonClass = 'self-start text-xs px-4 py-1.5 rounded-full bg-blue-500 text-white cursor-pointer';
+
+//enroll in totp two-factor auth or turn it off
+const TwoFactorSettings = () => {
+    const { authUser, setupTwoFactor, enableTwoFactor, disableTwoFactor } = useContext(AuthContext);
+    const [setup, setSetup] = useState(null); //qrCode and secret while enrolling
+    const [backupCodes, setBackupCodes] = useState(null); //shown once right after enabling
+    const [code, setCode] = useState('');
+    const [currentPassword, setCurrentPassword] = useState('');
+
+    const handleSetup = async () => {
+        const result = await setupTwoFactor();
+        if (result.success) setSetup(result);
+    }
+
+    const handleEnable = async (e) => {
+        e.preventDefault();
+        const result = await enableTwoFactor(code.trim());
+        if (result.success) {
+            setSetup(null);
+            setCode('');
+            setBackupCodes(result.backupCodes);
+        }
+    }
+
+    const handleDisable = async (e) => {
+        e.preventDefault();
+        const result = await disableTwoFactor(currentPassword, code.trim());
+        if (result.success) {
+            setCode('');
+            setCurrentPassword('');
+            setBackupCodes(null);
+        }
+    }
+
+    if (backupCodes) {
+        return (
+            <div className='flex flex-col gap-2'>
+                <p className='text-sm text-gray-400'>Two-factor authentication is on. Save these backup codes, each works once if you lose your phone:</p>
+                <div className='grid grid-cols-2 gap-1 font-mono text-sm bg-gray-800/50 rounded-lg p-3 border border-gray-700/50'>
+                    {backupCodes.map(backupCode => <span key={backupCode}>{backupCode}</span>)}
+                </div>
+                <button type='button' onClick={() => setBackupCodes(null)} className={buttonClass}>I saved them</button>
+            </div>
+        )
+    }
+
+    if (authUser?.twoFactorEnabled) {
+        return (
+            <form onSubmit={handleDisable} className='flex flex-col gap-2'>
+                <p className='text-sm text-gray-400'>Two-factor authentication <span className='text-green-400'>is on</span></p>
+                <input type="password" placeholder='Current password' autoComplete='current-password' className={inputClass} required
+                    value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} />
+                <input type="text" inputMode='numeric' autoComplete='one-time-code' placeholder='Authentication or backup code' className={inputClass} required
+                    value={code} onChange={(e) => setCode(e.target.value)} />
+                <button type='submit' className='self-start text-xs px-4 py-1.5 rounded-full border border-red-500/60 text-red-400 cursor-pointer'>Turn off</button>
+            </form>
+        )
+    }
+
+    if (setup) {
+        return (
+            <form onSubmit={handleEnable} className='flex flex-col gap-2'>
+                <p className='text-sm text-gray-400'>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+                <img src={setup.qrCode} alt="2FA QR code" className='w-40 h-40 rounded-lg bg-white p-1' />
+                <p className='text-xs text-gray-400 break-all'>Or enter this key manually: <span className='font-mono'>{setup.secret}</span></p>
+                <input type="text" inputMode='numeric' autoComplete='one-time-code' placeholder='6-digit code' className={inputClass} required
+                    value={code} onChange={(e) => setCode(e.target.value)} />
+                <div className='flex gap-2'>
+                    <button type='submit' className={buttonClass}>Verify and turn on</button>
+                    <button type='button' onClick={() => setSetup(null)} className='text-xs px-4 py-1.5 rounded-full border border-gray-600 cursor-pointer'>Cancel</button>
+                </div>
+            </form>
+        )
+    }
+
+    return (
+        <div className='flex flex-col gap-2'>
+            <p className='text-sm text-gray-400'>Two-factor authentication is off. Protect your account with a code from an authenticator app.</p>
+            <button type='button' onClick={handleSetup} className={buttonClass}>Set up two-factor authentication</button>
+        </div>
+    )
+}
+
+export default TwoFactorSettings
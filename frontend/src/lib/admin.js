@@ -0,0 +1,49 @@
+//admin dashboard api, every call needs an admin token
+
+export async function fetchAdminUsers(axios, { search = "", page = 1, limit = 20 } = {}) {
+	const { data } = await axios.get("/api/admin/users", { params: { search, page, limit } });
+	return data;
+}
+
+export async function suspendUser(axios, userId) {
+	const { data } = await axios.post(`/api/admin/users/${userId}/suspend`);
+	return data;
+}
+
+export async function unsuspendUser(axios, userId) {
+	const { data } = await axios.post(`/api/admin/users/${userId}/unsuspend`);
+	return data;
+}
+
+export async function deleteUser(axios, userId) {
+	const { data } = await axios.delete(`/api/admin/users/${userId}`);
+	return data;
+}
+
+export async function setUserRole(axios, userId, role) {
+	const { data } = await axios.put(`/api/admin/users/${userId}/role`, { role });
+	return data;
+}
+
+//{ aiEnabled, uploadsEnabled, maxUploadSize, allowedMimeTypes, defaultAiModel }
+export async function fetchSettings(axios) {
+	const { data } = await axios.get("/api/settings");
+	return data;
+}
+
+//only the given fields are changed
+export async function updateSettings(axios, changes) {
+	const { data } = await axios.put("/api/admin/settings", changes);
+	return data;
+}
+
+export async function fetchAdminStats(axios) {
+	const { data } = await axios.get("/api/admin/stats");
+	return data;
+}
+
+//{ days, totals, byModel, topUsers } of the AI usage
+export async function fetchAiUsageSummary(axios, days = 30) {
+	const { data } = await axios.get("/api/admin/ai-usage", { params: { days } });
+	return data;
+}
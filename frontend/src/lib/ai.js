@@ -4,6 +4,47 @@ export async function askAI(axios, { prompt, messages, model } = {}) {
 	return data;
 }
 
+//ask over the socket, the reply comes back as ai:delta chunks followed by ai:done or ai:error with the same requestId
+export function streamAI(socket, { requestId, prompt, model } = {}) {
+	socket.emit("ai:ask", { requestId, prompt, model });
+}
+
+//stop a streamed reply, ai:done still arrives with what was generated so far
+export function cancelAIStream(socket, requestId) {
+	socket.emit("ai:cancel", { requestId });
+}
+
+//{ provider, models, defaultModel }, only these models can be asked for
+export async function fetchAiModels(axios) {
+	const { data } = await axios.get("/api/ai/models");
+	return data;
+}
+
+//summarize a direct chat without adding anything to it, since or unreadOnly limit it to the newer part
+//{ summary, messageCount, truncated, quota }, summary is null when there was nothing to summarize
+export async function summarizeChat(axios, userId, { since, unreadOnly } = {}) {
+	const { data } = await axios.post(`/api/ai/summarize/${userId}`, { since, unreadOnly });
+	return data;
+}
+
+//{ daily, monthly }, each { used, limit, remaining, resetsAt } in tokens, remaining is null without a limit
+export async function fetchAiUsage(axios) {
+	const { data } = await axios.get("/api/ai/usage");
+	return data;
+}
+
+//{ contextStartAt, hasSummary }, msgs before contextStartAt are not sent to the AI
+export async function fetchAiContext(axios) {
+	const { data } = await axios.get("/api/ai/context");
+	return data;
+}
+
+//start a fresh thread with the AI, the chat history stays
+export async function resetAiContext(axios) {
+	const { data } = await axios.post("/api/ai/context/reset");
+	return data;
+}
+
 //function to toggle aiEnabled state on server
 export async function toggleAI(axios, enabled) {
 	try {
@@ -15,4 +15,75 @@ export function formatTimestamp(timestamp) {
     });
 
     return isToday ? timeString : `${date.toLocaleDateString('en-US')} ${timeString}`;
-}
\ No newline at end of file
+}
+
+//short time for conversation lists: time today, date otherwise
+export function formatListTime(timestamp) {
+    if (!timestamp) return '';
+
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return '';
+
+    if (date.toDateString() === new Date().toDateString()) {
+        return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+    }
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+//"5MB" or "512KB" for upload limits
+export function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${+(bytes / 1024 / 1024).toFixed(1)}MB`;
+    return `${Math.round(bytes / 1024)}KB`;
+}
+
+//"12.5k" for token counts
+export function formatTokens(tokens) {
+    if (tokens >= 1000000) return `${+(tokens / 1000000).toFixed(1)}M`;
+    if (tokens >= 1000) return `${+(tokens / 1000).toFixed(1)}k`;
+    return String(tokens);
+}
+
+//one line preview of the last message of a conversation
+export function formatLastMessage(message, authUserId) {
+    if (!message) return '';
+    const prefix = message.senderId === authUserId ? 'You: ' : '';
+    if (message.deletedAt) return `${prefix}Message deleted`;
+    if (message.text) return `${prefix}${message.text}`;
+    return message.image ? `${prefix}Photo` : '';
+}
+
+//"last seen 5 min ago" style label for offline users
+export function formatLastSeen(timestamp) {
+    if (!timestamp) return '';
+
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return '';
+
+    const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+    if (minutes < 1) return 'last seen just now';
+    if (minutes < 60) return `last seen ${minutes} min ago`;
+
+    // hours only make sense within today, earlier times go by calendar day
+    if (date.toDateString() === new Date().toDateString()) {
+        return `last seen ${Math.floor(minutes / 60)} h ago`;
+    }
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    if (date.toDateString() === yesterday.toDateString()) {
+        const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+        return `last seen yesterday at ${time}`;
+    }
+    return `last seen on ${date.toLocaleDateString('en-US')}`;
+}
+
+const presenceLabels = { online: 'Online', away: 'Away', busy: 'Busy' };
+
+//text for a user's presence: their status when online, last seen otherwise
+export function formatPresence(status, lastSeen) {
+    return presenceLabels[status] || formatLastSeen(lastSeen) || 'Offline';
+}
+
+//tailwind background class of the presence dot
+export function presenceColor(status) {
+    return { online: 'bg-green-500', away: 'bg-yellow-400', busy: 'bg-red-500' }[status] || 'bg-gray-500';
+}
@@ -0,0 +1,312 @@
+import React, { useContext, useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import avatar_icon from '../assets/avatar.png'
+import { AuthContext } from '../../context/AuthContext';
+import { fetchAdminUsers, suspendUser, unsuspendUser, deleteUser, setUserRole, fetchSettings, updateSettings, fetchAdminStats, fetchAiUsageSummary } from '../lib/admin';
+import { formatListTime, formatTokens } from '../lib/utils';
+import { fetchAiModels } from '../lib/ai';
+
+const PAGE_SIZE = 20;
+const ROLES = ['user', 'moderator', 'admin'];
+
+const inputClass = 'w-full bg-gray-800/50 rounded-full py-1.5 px-3 text-fluid-sm placeholder:text-gray-400 border border-gray-700/50 focus:outline-none focus:border-blue-500/50 transition-colors';
+
+const errorMessage = (error) => error.response?.data?.message || error.message;
+
+const StatCard = ({ label, value }) => (
+  <div className='bg-gray-800/50 rounded-lg px-3 py-2 border border-gray-700/50'>
+    <p className='text-xs text-gray-400'>{label}</p>
+    <p className='text-fluid-lg text-white'>{value ?? '-'}</p>
+  </div>
+)
+
+//admin dashboard: usage counts, feature switches and user management
+const AdminPage = () => {
+  const { axios, authUser } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [stats, setStats] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [limitsForm, setLimitsForm] = useState(null); //upload limits and ai model as typed, the model is only sent when changed
+  const [aiModels, setAiModels] = useState(null); //{ provider, models, defaultModel }
+  const [quotaForm, setQuotaForm] = useState(null); //daily and monthly AI tokens per role as typed
+  const [aiUsage, setAiUsage] = useState(null); //{ days, totals, byModel, topUsers }
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    fetchAdminStats(axios).then(data => setStats(data.stats)).catch(error => toast.error(errorMessage(error)));
+    fetchSettings(axios).then(data => applySettings(data.settings)).catch(error => toast.error(errorMessage(error)));
+    fetchAiModels(axios).then(setAiModels).catch(error => toast.error(errorMessage(error)));
+    fetchAiUsageSummary(axios).then(setAiUsage).catch(error => toast.error(errorMessage(error)));
+  }, [axios]);
+
+  // wait for the admin to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchAdminUsers(axios, { search: search.trim(), page, limit: PAGE_SIZE })
+        .then(data => {
+          setUsers(data.users);
+          setTotal(data.total);
+        })
+        .catch(error => toast.error(errorMessage(error)));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [axios, search, page]);
+
+  //run an action on a user and replace or drop the row when it succeeds
+  const runUserAction = async (action, userId, update) => {
+    try {
+      const data = await action();
+      toast.success(data.message);
+      setUsers(prev => update ? prev.map(user => user._id === userId ? { ...user, ...update(data) } : user) : prev.filter(user => user._id !== userId));
+      if (!update) setTotal(prev => prev - 1);
+    } catch (error) {
+      toast.error(errorMessage(error));
+    }
+  }
+
+  const handleDelete = (user) => {
+    if (window.confirm(`Delete ${user.fullName} and all of their messages? This cannot be undone.`)) {
+      runUserAction(() => deleteUser(axios, user._id), user._id);
+    }
+  }
+
+  function applySettings(newSettings) {
+    setSettings(newSettings);
+    setLimitsForm({
+      maxUploadMb: String(newSettings.maxUploadSize / 1024 / 1024),
+      allowedMimeTypes: newSettings.allowedMimeTypes.join(', '),
+      defaultAiModel: newSettings.defaultAiModel,
+    });
+    setQuotaForm(Object.fromEntries(ROLES.map(role => [role, {
+      daily: String(newSettings.aiQuotas[role].daily),
+      monthly: String(newSettings.aiQuotas[role].monthly),
+    }])));
+  }
+
+  const saveSettings = async (changes) => {
+    try {
+      const data = await updateSettings(axios, changes);
+      applySettings(data.settings);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(errorMessage(error));
+    }
+  }
+
+  const handleLimitsSubmit = (e) => {
+    e.preventDefault();
+    // the model only goes along when picked here, a stored one the provider dropped must not block saving the limits
+    const defaultAiModel = limitsForm.defaultAiModel.trim();
+    saveSettings({
+      maxUploadSize: Math.round(Number(limitsForm.maxUploadMb) * 1024 * 1024),
+      allowedMimeTypes: limitsForm.allowedMimeTypes.split(',').map(type => type.trim()).filter(Boolean),
+      ...(defaultAiModel !== settings.defaultAiModel && { defaultAiModel }),
+    });
+  }
+
+  const handleQuotaSubmit = (e) => {
+    e.preventDefault();
+    saveSettings({
+      aiQuotas: Object.fromEntries(ROLES.map(role => [role, {
+        daily: Number(quotaForm[role].daily),
+        monthly: Number(quotaForm[role].monthly),
+      }])),
+    });
+  }
+
+  const setQuota = (role, period, value) => {
+    setQuotaForm({ ...quotaForm, [role]: { ...quotaForm[role], [period]: value } });
+  }
+
+  const maxPerDay = Math.max(1, ...(stats?.messagesPerDay || []).map(day => day.messages));
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className='min-h-[100dvh] py-10 bg-cover bg-no-repeat flex items-center justify-center'>
+      <div className='w-5/6 max-w-4xl backdrop-blur-2xl text-gray-300 border-2 border-gray-600 flex flex-col gap-8 rounded-lg p-10'>
+        <div className='flex items-center justify-between'>
+          <h3 className='text-fluid-lg'>Admin dashboard</h3>
+          <button type='button' onClick={() => navigate('/')} className='text-fluid-sm px-5 py-2 rounded-full border border-gray-600 hover:border-gray-400 transition-colors cursor-pointer'>
+            Back to chats
+          </button>
+        </div>
+
+        {/* counts */}
+        <div className='grid grid-cols-2 md:grid-cols-4 gap-3'>
+          <StatCard label='Users' value={stats?.totalUsers} />
+          <StatCard label='Active (24h)' value={stats?.activeUsers} />
+          <StatCard label='Online now' value={stats?.onlineNow} />
+          <StatCard label='Suspended' value={stats?.suspendedUsers} />
+          <StatCard label='Messages' value={stats?.totalMessages} />
+          <StatCard label='Groups' value={stats?.groups} />
+          <StatCard label='AI calls (14 days)' value={stats?.aiCalls} />
+        </div>
+
+        {/* messages per day, the ai share is drawn on top */}
+        {stats && (
+          <div className='flex flex-col gap-2'>
+            <p className='text-sm text-gray-400'>Messages per day <span className='text-xs'>(AI replies in violet)</span></p>
+            <div className='flex items-end gap-1 h-32'>
+              {stats.messagesPerDay.map(day => (
+                <div key={day.date} title={`${day.date}: ${day.messages} messages, ${day.aiCalls} AI calls`} className='flex-1 h-full flex flex-col justify-end'>
+                  <div className='bg-blue-500/70 rounded-t-sm flex flex-col justify-start' style={{ height: `${(day.messages / maxPerDay) * 100}%` }}>
+                    <div className='bg-violet-500' style={{ height: `${day.messages ? (day.aiCalls / day.messages) * 100 : 0}%` }}></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className='flex justify-between text-xs text-gray-500'>
+              <span>{stats.messagesPerDay[0]?.date}</span>
+              <span>{stats.messagesPerDay[stats.messagesPerDay.length - 1]?.date}</span>
+            </div>
+          </div>
+        )}
+
+        {/* ai usage */}
+        {aiUsage && (
+          <div className='flex flex-col gap-2'>
+            <p className='text-sm text-gray-400'>AI usage ({aiUsage.days} days)</p>
+            <div className='grid grid-cols-2 md:grid-cols-4 gap-3'>
+              <StatCard label='Requests' value={aiUsage.totals.requests} />
+              <StatCard label='Prompt tokens' value={formatTokens(aiUsage.totals.promptTokens)} />
+              <StatCard label='Completion tokens' value={formatTokens(aiUsage.totals.completionTokens)} />
+              <StatCard label='Avg latency' value={`${(aiUsage.totals.avgLatencyMs / 1000).toFixed(1)}s`} />
+            </div>
+            {aiUsage.byModel.map(row => (
+              <p key={`${row.provider}/${row.model}`} className='text-xs text-gray-400'>
+                {row.provider} / {row.model}: {row.requests} requests, {formatTokens(row.totalTokens)} tokens, {(row.avgLatencyMs / 1000).toFixed(1)}s avg
+              </p>
+            ))}
+            {aiUsage.topUsers.length > 0 && (
+              <div className='flex flex-col gap-1 text-xs'>
+                <p className='text-gray-400'>Top users</p>
+                {aiUsage.topUsers.map(row => (
+                  <div key={row.userId} className='flex items-center gap-2'>
+                    <img src={row.user?.profilePic || avatar_icon} alt="" className='w-5 h-5 rounded-full object-cover' />
+                    <span className='flex-1 truncate'>{row.user?.fullName || 'Deleted user'}</span>
+                    <span className='text-gray-400'>{row.requests} requests · {formatTokens(row.totalTokens)} tokens</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* app settings */}
+        {settings && (
+          <div className='flex flex-col gap-2'>
+            <p className='text-sm text-gray-400'>Settings</p>
+            {[['aiEnabled', 'AI assistant'], ['uploadsEnabled', 'Image uploads']].map(([name, label]) => (
+              <label key={name} className='flex items-center gap-3 text-sm cursor-pointer'>
+                <input type="checkbox" checked={settings[name]} onChange={() => saveSettings({ [name]: !settings[name] })} className='accent-blue-500' />
+                {label} <span className={`text-xs ${settings[name] ? 'text-green-400' : 'text-red-400'}`}>{settings[name] ? 'on' : 'off'}</span>
+              </label>
+            ))}
+            <form onSubmit={handleLimitsSubmit} className='grid grid-cols-1 md:grid-cols-3 gap-2 text-xs'>
+              <label className='flex flex-col gap-1'>
+                Max upload size (MB)
+                <input type="number" min='0.01' max='20' step='0.01' required className={inputClass}
+                  value={limitsForm.maxUploadMb} onChange={(e) => setLimitsForm({ ...limitsForm, maxUploadMb: e.target.value })} />
+              </label>
+              <label className='flex flex-col gap-1'>
+                Allowed image types
+                <input type="text" required className={inputClass}
+                  value={limitsForm.allowedMimeTypes} onChange={(e) => setLimitsForm({ ...limitsForm, allowedMimeTypes: e.target.value })} />
+              </label>
+              <label className='flex flex-col gap-1'>
+                Default AI model{aiModels && ` (${aiModels.provider})`}
+                <select className={inputClass}
+                  value={limitsForm.defaultAiModel} onChange={(e) => setLimitsForm({ ...limitsForm, defaultAiModel: e.target.value })}>
+                  <option value=''>Provider default{aiModels?.models[0] && ` (${aiModels.models[0]})`}</option>
+                  {aiModels?.models.map(model => <option key={model} value={model}>{model}</option>)}
+                  {/* a model saved for another provider stays visible until it is changed */}
+                  {limitsForm.defaultAiModel && aiModels && !aiModels.models.includes(limitsForm.defaultAiModel) && (
+                    <option value={limitsForm.defaultAiModel}>{limitsForm.defaultAiModel} (unavailable)</option>
+                  )}
+                </select>
+              </label>
+              <button type='submit' className='justify-self-start px-4 py-1.5 rounded-full bg-blue-500 text-white cursor-pointer'>Save limits</button>
+            </form>
+            <form onSubmit={handleQuotaSubmit} className='flex flex-col gap-2 text-xs'>
+              <p className='text-gray-400'>AI tokens per user and role <span className='text-gray-500'>(0 is no limit)</span></p>
+              {ROLES.map(role => (
+                <div key={role} className='grid grid-cols-3 gap-2 items-center'>
+                  <span className='capitalize'>{role}</span>
+                  {['daily', 'monthly'].map(period => (
+                    <input key={period} type="number" min='0' step='1' required aria-label={`${role} ${period} AI tokens`} placeholder={period}
+                      className={inputClass} value={quotaForm[role][period]} onChange={(e) => setQuota(role, period, e.target.value)} />
+                  ))}
+                </div>
+              ))}
+              <button type='submit' className='justify-self-start self-start px-4 py-1.5 rounded-full bg-blue-500 text-white cursor-pointer'>Save quotas</button>
+            </form>
+          </div>
+        )}
+
+        {/* users */}
+        <div className='flex flex-col gap-3'>
+          <div className='flex items-center justify-between gap-3'>
+            <p className='text-sm text-gray-400'>Users ({total})</p>
+            <input type="text" placeholder='Search by name or email' value={search}
+              onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+              className={`${inputClass} max-w-64`} />
+          </div>
+          {users.map(user => {
+            const isSelf = user._id === authUser._id;
+            return (
+              <div key={user._id} className='flex items-center gap-3 text-sm bg-gray-800/50 rounded-lg px-3 py-2 border border-gray-700/50'>
+                <img src={user.profilePic || avatar_icon} alt="" className='w-8 h-8 rounded-full object-cover' />
+                <div className='flex-1 min-w-0'>
+                  <p className='truncate'>
+                    {user.fullName}
+                    {user.suspendedAt && <span className='text-xs text-red-400'> · suspended</span>}
+                    {!user.emailVerified && <span className='text-xs text-yellow-400'> · unverified</span>}
+                  </p>
+                  <p className='text-xs text-gray-400 truncate'>
+                    {user.email}{user.lastSeen && ` · last seen ${formatListTime(user.lastSeen)}`}
+                  </p>
+                </div>
+                <select value={user.role || 'user'} disabled={isSelf}
+                  onChange={(e) => { const role = e.target.value; runUserAction(() => setUserRole(axios, user._id, role), user._id, () => ({ role })); }}
+                  className='bg-gray-800 text-xs rounded-md border border-gray-700 px-1 py-1 cursor-pointer disabled:cursor-default'>
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                {!isSelf && user.role !== 'admin' && (
+                  <>
+                    {user.suspendedAt ? (
+                      <button type='button' title='Unsuspend' className='cursor-pointer text-gray-400 hover:text-green-400'
+                        onClick={() => runUserAction(() => unsuspendUser(axios, user._id), user._id, () => ({ suspendedAt: null }))}>
+                        <i className='fi fi-rr-undo'></i>
+                      </button>
+                    ) : (
+                      <button type='button' title='Suspend' className='cursor-pointer text-gray-400 hover:text-yellow-400'
+                        onClick={() => runUserAction(() => suspendUser(axios, user._id), user._id, (data) => ({ suspendedAt: data.suspendedAt }))}>
+                        <i className='fi fi-rr-ban'></i>
+                      </button>
+                    )}
+                    <button type='button' title='Delete user' onClick={() => handleDelete(user)} className='cursor-pointer text-gray-400 hover:text-red-400'>
+                      <i className='fi fi-rr-trash'></i>
+                    </button>
+                  </>
+                )}
+              </div>
+            )
+          })}
+          {pageCount > 1 && (
+            <div className='flex items-center justify-center gap-3 text-xs'>
+              <button type='button' disabled={page === 1} onClick={() => setPage(page - 1)} className='px-3 py-1 rounded-full border border-gray-600 cursor-pointer disabled:opacity-40 disabled:cursor-default'>Previous</button>
+              <span>{page} / {pageCount}</span>
+              <button type='button' disabled={page === pageCount} onClick={() => setPage(page + 1)} className='px-3 py-1 rounded-full border border-gray-600 cursor-pointer disabled:opacity-40 disabled:cursor-default'>Next</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AdminPage
@@ -9,13 +9,12 @@ const HomePage = () => {
     const {selectedUser} = useContext(ChatContext);
     return (
         <div className='border w-full h-[100dvh] sm:px-[8%] sm:py-[3%] overflow-hidden'>
-            <div className={`backdrop-blur-xl border-2 border-gray-600 rounded-2xl overflow-hidden h-[100%] grid grid-cols-1 relative ${selectedUser ? 'md:grid-cols-[1fr_1.5fr] xl:grid-cols-[1fr_2fr]' : 'md:grid-cols-2'}`}>
+            <div className={`backdrop-blur-xl border-2 border-gray-600 rounded-2xl overflow-hidden h-[100%] grid grid-cols-1 relative ${selectedUser ? 'md:grid-cols-[1fr_1.5fr] xl:grid-cols-[1fr_2fr_1fr]' : 'md:grid-cols-2'}`}>
 
                 <Sidebar />
                 <ChatContainer />
-                {/* no need of right sidebar for now 
-                add [1fr_1.5fr_1fr] in grid-cols*/}
-                {/* <RightSidebar /> */}
+                {/* right sidebar only fits on wide screens */}
+                <RightSidebar />
             </div>
         </div>
     )
@@ -1,14 +1,25 @@
 import React, { Suspense, useContext, useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom'
 import { AuthContext } from '../../context/AuthContext';
 import { assets } from '../assets/assets';
+import toast from 'react-hot-toast';
 // import TextType from '../../react-bits/TextType/TextType';
 
 const TextType = React.lazy(() => import('../components/TextType/TextType'));
 
+const inputClass = 'w-full bg-gray-800/50 border border-gray-700/50 rounded-lg py-3 pl-10 pr-4 text-white placeholder-gray-400 focus:outline-none focus:border-blue-500/50 transition-colors text-fluid-base';
+const submitClass = 'w-full bg-gradient-to-r from-blue-500 to-purple-600 text-white py-3 px-4 rounded-lg font-medium hover:from-blue-600 hover:to-purple-700 transition-all duration-200 transform hover:scale-105 cursor-pointer text-fluid-base';
+
 const LoginPage = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
   const [isLogin, setIsLogin] = useState(true);
+  // auth: login/signup, 2fa: second login step, forgot: ask for a reset link, reset: set a new password from the emailed link
+  const [screen, setScreen] = useState(location.pathname === '/reset-password' ? 'reset' : 'auth');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [newPassword, setNewPassword] = useState({ password: '', confirm: '' });
 
   const [formData, setFormData] = useState({
     email: '',
@@ -16,7 +27,7 @@ const LoginPage = () => {
     fullName: '',
   });
 
-  const { login } = useContext(AuthContext);
+  const { login, verifyTwoFactorLogin, requestPasswordReset, resetPassword } = useContext(AuthContext);
 
   const handleInputChange = (e) => {
     setFormData({
@@ -31,11 +42,52 @@ const LoginPage = () => {
     const result = await login(isLogin ? 'login' : 'signup', formData);
     if (result?.success) {
       navigate('/');
+    } else if (result?.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setScreen('2fa');
     } else {
       console.log('Login/Signup failed:', result?.message);
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    const result = await verifyTwoFactorLogin(challengeToken, twoFactorCode.trim());
+    if (result?.success) {
+      navigate('/');
+    } else if (result?.message?.includes('expired')) {
+      backToLogin();
+    }
+  };
+
+  const backToLogin = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setScreen('auth');
+  };
+
+  const handleForgotSubmit = async (e) => {
+    e.preventDefault();
+    const result = await requestPasswordReset(formData.email);
+    if (result?.success) {
+      setScreen('auth');
+    }
+  };
+
+  const handleResetSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword.password !== newPassword.confirm) {
+      toast.error('Passwords do not match');
+      return;
+    }
+    const result = await resetPassword(searchParams.get('token'), newPassword.password);
+    if (result?.success) {
+      setNewPassword({ password: '', confirm: '' });
+      setScreen('auth');
+      navigate('/login', { replace: true });
+    }
+  };
+
   return (
     <>
       <div className='min-h-[100dvh] h-[100dvh] overflow-hidden flex'>
@@ -85,7 +137,108 @@ const LoginPage = () => {
         <div className='flex-1 flex items-center justify-center p-8'>
           <div className='w-full max-w-md'>
 
+            {/* Second login step when two-factor auth is on */}
+            {screen === '2fa' && (
+              <div className='bg-black/30 backdrop-blur-sm border border-gray-700/50 rounded-2xl p-6'>
+                <div className='text-center mb-6'>
+                  <h2 className='font-bold text-white mb-2 text-fluid-2xl'>Two-factor authentication</h2>
+                  <p className='text-gray-400 text-fluid-sm'>Enter the 6-digit code from your authenticator app, or one of your backup codes.</p>
+                </div>
+                <form onSubmit={handleTwoFactorSubmit} className='space-y-4'>
+                  <div className='relative'>
+                    <i className="fi fi-rr-shield-check absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 text-sm"></i>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      placeholder="123456"
+                      className={inputClass}
+                      autoFocus
+                      required
+                    />
+                  </div>
+                  <button type="submit" className={submitClass}>Verify</button>
+                </form>
+                <button onClick={backToLogin} className='mt-4 w-full text-blue-400 hover:text-blue-300 transition-colors text-fluid-sm cursor-pointer'>
+                  Back to login
+                </button>
+              </div>
+            )}
+
+            {/* Forgot password */}
+            {screen === 'forgot' && (
+              <div className='bg-black/30 backdrop-blur-sm border border-gray-700/50 rounded-2xl p-6'>
+                <div className='text-center mb-6'>
+                  <h2 className='font-bold text-white mb-2 text-fluid-2xl'>Forgot password?</h2>
+                  <p className='text-gray-400 text-fluid-sm'>Enter your email and we will send you a link to reset it.</p>
+                </div>
+                <form onSubmit={handleForgotSubmit} className='space-y-4'>
+                  <div className='relative'>
+                    <i className="fi fi-rr-envelope absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 text-sm"></i>
+                    <input
+                      type="email"
+                      name="email"
+                      value={formData.email}
+                      onChange={handleInputChange}
+                      placeholder="Enter your email"
+                      className={inputClass}
+                      required
+                    />
+                  </div>
+                  <button type="submit" className={submitClass}>Send reset link</button>
+                </form>
+                <button onClick={() => setScreen('auth')} className='mt-4 w-full text-blue-400 hover:text-blue-300 transition-colors text-fluid-sm cursor-pointer'>
+                  Back to login
+                </button>
+              </div>
+            )}
+
+            {/* Reset password from the emailed link */}
+            {screen === 'reset' && (
+              <div className='bg-black/30 backdrop-blur-sm border border-gray-700/50 rounded-2xl p-6'>
+                <div className='text-center mb-6'>
+                  <h2 className='font-bold text-white mb-2 text-fluid-2xl'>Choose a new password</h2>
+                  <p className='text-gray-400 text-fluid-sm'>You will be logged out of every device.</p>
+                </div>
+                <form onSubmit={handleResetSubmit} className='space-y-4'>
+                  <div className='relative'>
+                    <i className="fi fi-rr-lock absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 text-sm"></i>
+                    <input
+                      type="password"
+                      value={newPassword.password}
+                      onChange={(e) => setNewPassword({ ...newPassword, password: e.target.value })}
+                      placeholder="New password"
+                      autoComplete="new-password"
+                      className={inputClass}
+                      required
+                      minLength={8}
+                    />
+                  </div>
+                  <div className='relative'>
+                    <i className="fi fi-rr-lock absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 text-sm"></i>
+                    <input
+                      type="password"
+                      value={newPassword.confirm}
+                      onChange={(e) => setNewPassword({ ...newPassword, confirm: e.target.value })}
+                      placeholder="Confirm new password"
+                      autoComplete="new-password"
+                      className={inputClass}
+                      required
+                      minLength={8}
+                    />
+                  </div>
+                  <button type="submit" className={submitClass}>Reset password</button>
+                </form>
+                <button onClick={() => { setScreen('auth'); navigate('/login', { replace: true }); }} className='mt-4 w-full text-blue-400 hover:text-blue-300 transition-colors text-fluid-sm cursor-pointer'>
+                  Back to login
+                </button>
+              </div>
+            )}
+
             {/* Login/Signup Form */}
+            {screen === 'auth' && (<>
             <div className='bg-black/30 backdrop-blur-sm border border-gray-700/50 rounded-2xl p-6'>
               <div className='text-center mb-6'>
                 <h2 className='font-bold text-white mb-2 text-fluid-2xl'>
@@ -172,9 +325,16 @@ const LoginPage = () => {
                       placeholder="Enter your password"
                       className='w-full bg-gray-800/50 border border-gray-700/50 rounded-lg py-3 pl-10 pr-4 text-white placeholder-gray-400 focus:outline-none focus:border-blue-500/50 transition-colors text-fluid-base'
                       required
-                      minLength={6}
+                      minLength={isLogin ? undefined : 8}
                     />
                   </div>
+                  {isLogin && (
+                    <div className='text-right mt-2'>
+                      <button type='button' onClick={() => setScreen('forgot')} className='text-blue-400 hover:text-blue-300 transition-colors text-fluid-sm cursor-pointer'>
+                        Forgot password?
+                      </button>
+                    </div>
+                  )}
                 </div>
 
                 {!isLogin && (
@@ -232,6 +392,7 @@ const LoginPage = () => {
                 </button>
               </p>
             </div>
+            </>)}
           </div>
         </div>
       </div></>
@@ -3,9 +3,11 @@ import { useNavigate } from 'react-router-dom';
 import avatar_icon from '../assets/avatar.png'
 import { AuthContext } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
+import SecuritySettings from '../components/SecuritySettings';
+import SessionList from '../components/SessionList';
 
 const ProfilePage = () => {
-  const { authUser, updateProfile } = useContext(AuthContext);
+  const { authUser, updateProfile, resendVerificationEmail } = useContext(AuthContext);
   const [selectedImage, setSelectedImage] = useState(null);
   const navigate = useNavigate();
   const [formData, setFormData] = React.useState({
@@ -50,14 +52,20 @@ const ProfilePage = () => {
   }
 
   return (
-    <div className='min-h-[100dvh] h-[100dvh] overflow-hidden bg-cover bg-no-repeat flex items-center justify-center'>
-      <div className='w-5/6 max-w-2xl backdrop-blur-2xl text-gray-300 border-2 border-gray-600 flex items-center justify-between max-sm:flex-col-reverse rounded-lg'>
+    <div className='min-h-[100dvh] py-10 bg-cover bg-no-repeat flex items-center justify-center'>
+      <div className='w-5/6 max-w-2xl backdrop-blur-2xl text-gray-300 border-2 border-gray-600 flex flex-col rounded-lg'>
 
         <form
           id='profile-form'
           autoComplete='off'
           onSubmit={handleSubmit} className='flex flex-col gap-5 p-10 flex-1'>
           <h3 className='text-fluid-lg'>Profile details</h3>
+          {!authUser?.emailVerified && (
+            <p className='text-xs text-yellow-400'>
+              Your email is not verified.{' '}
+              <button type='button' onClick={resendVerificationEmail} className='underline cursor-pointer'>Resend link</button>
+            </p>
+          )}
           <label htmlFor="avatar" className='flex items-center gap-3 cursor-pointer'>
             <input
               type="file"
@@ -96,6 +104,9 @@ const ProfilePage = () => {
           </div>
 
         </form>
+
+        <SecuritySettings />
+        <SessionList />
       </div>
 
     </div>
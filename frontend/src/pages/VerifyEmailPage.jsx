@@ -0,0 +1,39 @@
+import React, { useContext, useEffect, useRef, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { AuthContext } from '../../context/AuthContext';
+
+//opened from the link in the verification or email change email, works whether the user is logged in or not
+const VerifyEmailPage = ({ emailChange = false }) => {
+  const { authUser, verifyEmail, confirmEmailChange } = useContext(AuthContext);
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [result, setResult] = useState(null);
+  const submitted = useRef(false); //the token is single-use, never send it twice
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+    const confirm = emailChange ? confirmEmailChange : verifyEmail;
+    confirm(searchParams.get('token')).then(setResult);
+    // only on mount, the token in the link is used once
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <div className='min-h-[100dvh] h-[100dvh] overflow-hidden flex items-center justify-center'>
+      <div className='w-5/6 max-w-md backdrop-blur-2xl text-gray-300 border-2 border-gray-600 rounded-lg p-10 text-center space-y-5'>
+        <h3 className='text-fluid-lg'>{emailChange ? 'Email change' : 'Email verification'}</h3>
+        <p className='text-fluid-sm'>
+          {!result ? 'Confirming your email…' : result.message}
+        </p>
+        {result && (
+          <button onClick={() => navigate(authUser ? '/' : '/login')} className='bg-gradient-to-r from-purple-400 to-violet-600 text-white text-sm px-5 py-2 rounded-full cursor-pointer'>
+            {authUser ? 'Go to chats' : 'Go to login'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmailPage